@@ -0,0 +1,61 @@
+// ==========================================================================
+// Merkliste: gemerkte Projekt-IDs (js/user-data-repository.js)
+// ==========================================================================
+//
+// Die IDs werden nach init() im Speicher gehalten, damit das Rendern der
+// Karten synchron bleiben kann. Änderungen aus anderen Tabs kommen über das
+// Repository herein und werden an alle Abonnenten weitergereicht.
+
+class BookmarkStore {
+  constructor(repository) {
+    this.repository = repository;
+    this.ids = [];
+    this.listeners = new Set();
+
+    this.repository.onRemoteChange(store => {
+      if (store === 'bookmarks') this.refresh();
+    });
+  }
+
+  async init() {
+    try {
+      this.ids = await this.repository.getBookmarks();
+    } catch (error) {
+      console.error('Merkliste konnte nicht geladen werden:', error);
+    }
+  }
+
+  async refresh() {
+    await this.init();
+    this.notify();
+  }
+
+  load() {
+    return [...this.ids];
+  }
+
+  has(projectId) {
+    return this.ids.includes(projectId);
+  }
+
+  // Gibt zurück, ob das Projekt danach gemerkt ist
+  async toggle(projectId) {
+    const saved = await this.repository.toggleBookmark(projectId);
+
+    this.ids = saved
+      ? [...this.ids, projectId]
+      : this.ids.filter(id => id !== projectId);
+    this.notify();
+    return saved;
+  }
+
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify() {
+    const ids = this.load();
+    this.listeners.forEach(listener => listener(ids));
+  }
+}
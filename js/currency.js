@@ -0,0 +1,148 @@
+// ==========================================================================
+// Währungsumrechnung für die Preisanzeige
+// ==========================================================================
+//
+// Die Kurse stehen in data/exchange-rates.json (Basis EUR) und lassen sich
+// ohne Code-Änderung aktualisieren. Der Service Worker lädt /data/ zuerst
+// aus dem Netz und fällt offline auf die zwischengespeicherte Datei zurück;
+// zusätzlich wird die zuletzt geladene Tabelle im Speicher (js/storage.js)
+// abgelegt. Umgerechnete Preise sind immer als ungefähr gekennzeichnet (≈).
+
+const CURRENCY_RATES_URL = 'data/exchange-rates.json';
+const CURRENCY_STORAGE_KEY = 'currency';
+const CURRENCY_RATES_STORAGE_KEY = 'exchange-rates';
+
+class CurrencyConverter {
+  constructor({ storage, i18n, url = CURRENCY_RATES_URL }) {
+    this.storage = storage;
+    this.i18n = i18n;
+    this.url = url;
+    this.table = { base: MONEY_DEFAULT_CURRENCY, updatedAt: null, rates: { [MONEY_DEFAULT_CURRENCY]: 1 } };
+    this.current = MONEY_DEFAULT_CURRENCY;
+  }
+
+  async load() {
+    try {
+      const response = await fetch(this.url, { cache: 'no-cache' });
+      if (!response.ok) {
+        throw new Error(`Wechselkurse nicht verfügbar (HTTP ${response.status})`);
+      }
+
+      const table = await response.json();
+      if (!CurrencyConverter.isValidTable(table)) {
+        throw new Error('Wechselkurs-Tabelle ist ungültig');
+      }
+
+      this.table = table;
+      this.storage.set(CURRENCY_RATES_STORAGE_KEY, table);
+    } catch (error) {
+      const cached = this.storage.get(CURRENCY_RATES_STORAGE_KEY);
+      if (CurrencyConverter.isValidTable(cached)) {
+        this.table = cached;
+      }
+      console.warn('Wechselkurse aus dem Zwischenspeicher verwendet:', error);
+    }
+
+    const preferred = this.storage.get(CURRENCY_STORAGE_KEY);
+    this.current = this.currencies.includes(preferred) ? preferred : MONEY_DEFAULT_CURRENCY;
+  }
+
+  static isValidTable(table) {
+    return Boolean(table) &&
+      typeof table.base === 'string' &&
+      typeof table.rates === 'object' &&
+      table.rates[table.base] === 1 &&
+      Object.values(table.rates).every(rate => typeof rate === 'number' && rate > 0);
+  }
+
+  get currencies() {
+    return Object.keys(this.table.rates);
+  }
+
+  setCurrency(code) {
+    if (!this.currencies.includes(code)) return;
+    this.current = code;
+    this.storage.set(CURRENCY_STORAGE_KEY, code);
+  }
+
+  // "USD" → "US-Dollar ($)"
+  label(code) {
+    const name = typeof Intl.DisplayNames === 'function'
+      ? new Intl.DisplayNames([this.i18n.locale], { type: 'currency' }).of(code)
+      : code;
+    const symbol = new Intl.NumberFormat(this.i18n.locale, { style: 'currency', currency: code })
+      .formatToParts(0)
+      .find(part => part.type === 'currency')?.value;
+
+    return symbol && symbol !== code ? `${name} (${symbol})` : `${name} (${code})`;
+  }
+
+  // Ohne Kurs für eine der Währungen bleibt der Betrag unverändert
+  convert(money, target = this.current) {
+    const { rates } = this.table;
+    if (money.currency === target || !rates[money.currency] || !rates[target]) return money;
+
+    const value = (money.toNumber() / rates[money.currency]) * rates[target];
+    return new Money(Math.round(value * 10 ** Money.fractionDigits(target)), target);
+  }
+
+  isConverted(money) {
+    return this.convert(money).currency !== money.currency;
+  }
+
+  format(money) {
+    const converted = this.convert(money);
+    return converted === money ? money.format() : `≈ ${converted.format()}`;
+  }
+
+  formatMaterial(material) {
+    if (material.owned || material.free) return Money.formatMaterial(material);
+    return this.format(Money.from(material.price));
+  }
+
+  // Preis-Element, das refresh() bei einem Währungswechsel aktualisiert
+  html(money) {
+    const converted = this.isConverted(money);
+    const title = converted ? ` title="${this.convertedTitle(money)}"` : '';
+
+    return `<span class="money${converted ? ' is-approximate' : ''}" data-money='${JSON.stringify(money)}'${title}>${this.format(money)}</span>`;
+  }
+
+  convertedTitle(money) {
+    return this.i18n.t('currency.convertedFrom', { price: money.format() });
+  }
+
+  materialHtml(material) {
+    if (material.owned || material.free) return Money.formatMaterial(material);
+    return this.html(Money.from(material.price));
+  }
+
+  // Hinweis unter umgerechneten Preisen, leer bei Originalwährung
+  note() {
+    if (this.current === MONEY_DEFAULT_CURRENCY) return '';
+
+    const date = this.table.updatedAt
+      ? new Date(this.table.updatedAt).toLocaleDateString(this.i18n.locale)
+      : this.i18n.t('currency.unknownDate');
+    return this.i18n.t('currency.note', { date });
+  }
+
+  noteHtml() {
+    return `<p class="currency-note" data-currency-note ${this.note() ? '' : 'hidden'}>${this.note()}</p>`;
+  }
+
+  // Alle Preise und Hinweise im Bereich neu formatieren
+  refresh(root = document) {
+    root.querySelectorAll('[data-money]').forEach(element => {
+      const money = Money.from(JSON.parse(element.dataset.money));
+      element.textContent = this.format(money);
+      element.classList.toggle('is-approximate', this.isConverted(money));
+      element.title = this.isConverted(money) ? this.convertedTitle(money) : '';
+    });
+
+    root.querySelectorAll('[data-currency-note]').forEach(element => {
+      element.textContent = this.note();
+      element.hidden = !this.note();
+    });
+  }
+}
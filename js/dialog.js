@@ -0,0 +1,127 @@
+// ==========================================================================
+// Dialog: barrierefreie Overlays (Projekt-Modal, Lightbox, geführter Modus)
+// ==========================================================================
+//
+// Setzt role="dialog" und aria-modal, macht den Rest der Seite `inert`,
+// hält den Fokus im Dialog und gibt ihn beim Schließen zurück. Tasten
+// bekommt nur der oberste offene Dialog, z.B. die Lightbox über dem
+// Projekt-Modal. Escape ruft onDismiss; der Besitzer schließt dann selbst
+// (Animation, Router). Listener aus open() und listen() hängen an einem
+// AbortController und verschwinden alle mit close().
+
+const DIALOG_FOCUSABLE = [
+  'a[href]', 'button:not([disabled])', 'input:not([disabled])', 'select:not([disabled])',
+  'textarea:not([disabled])', 'summary', 'video[controls]', '[tabindex]:not([tabindex="-1"])'
+].join(', ');
+
+// Offene Dialoge, der letzte liegt oben
+const openDialogs = [];
+
+class Dialog {
+  // element: direktes Kind von <body>, das den ganzen Dialog enthält
+  constructor(element, { label = null, labelledBy = null, initialFocus = null, onDismiss = () => {}, onKeydown = () => false } = {}) {
+    this.element = element;
+    this.initialFocus = initialFocus;
+    this.onDismiss = onDismiss;
+    this.onKeydown = onKeydown;
+    this.controller = null;
+    this.returnFocus = null;
+    this.inertElements = [];
+
+    element.setAttribute('role', 'dialog');
+    element.setAttribute('aria-modal', 'true');
+    if (labelledBy) element.setAttribute('aria-labelledby', labelledBy);
+    if (label) element.setAttribute('aria-label', label);
+  }
+
+  get isOpen() {
+    return this.controller !== null;
+  }
+
+  open({ returnFocus = document.activeElement } = {}) {
+    if (this.isOpen) return;
+
+    this.controller = new AbortController();
+    this.returnFocus = returnFocus;
+    openDialogs.push(this);
+
+    // Nur was noch nicht inert war, wird beim Schließen zurückgesetzt
+    this.inertElements = [...document.body.children].filter(child => child !== this.element && !child.inert);
+    this.inertElements.forEach(child => {
+      child.inert = true;
+    });
+
+    this.listen(window, 'keydown', e => this.handleKeydown(e), { capture: true });
+
+    const target = (this.initialFocus && this.element.querySelector(this.initialFocus)) || this.focusable()[0];
+    target?.focus();
+  }
+
+  close({ restoreFocus = true } = {}) {
+    if (!this.isOpen) return;
+
+    this.controller.abort();
+    this.controller = null;
+    openDialogs.splice(openDialogs.indexOf(this), 1);
+
+    this.inertElements.forEach(child => {
+      child.inert = false;
+    });
+    this.inertElements = [];
+
+    if (restoreFocus && this.returnFocus?.isConnected) {
+      this.returnFocus.focus();
+    }
+  }
+
+  // Listener, der mit close() automatisch entfernt wird
+  listen(target, type, handler, options = {}) {
+    target.addEventListener(type, handler, { ...options, signal: this.controller.signal });
+  }
+
+  focusable() {
+    return [...this.element.querySelectorAll(DIALOG_FOCUSABLE)]
+      .filter(element => element.getClientRects().length > 0 && !element.closest('[hidden]'));
+  }
+
+  handleKeydown(e) {
+    if (openDialogs[openDialogs.length - 1] !== this) return;
+
+    if (e.key === 'Tab') {
+      this.trapFocus(e);
+      return;
+    }
+
+    let handled = true;
+    if (e.key === 'Escape') {
+      this.onDismiss();
+    } else {
+      handled = this.onKeydown(e) === true;
+    }
+
+    if (handled) {
+      // Dialoge darunter und die Seite sollen die Taste nicht auch bekommen
+      e.preventDefault();
+      e.stopPropagation();
+    }
+  }
+
+  trapFocus(e) {
+    const focusable = this.focusable();
+    if (focusable.length === 0) {
+      e.preventDefault();
+      return;
+    }
+
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+
+    if (e.shiftKey && (document.activeElement === first || !this.element.contains(document.activeElement))) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && (document.activeElement === last || !this.element.contains(document.activeElement))) {
+      e.preventDefault();
+      first.focus();
+    }
+  }
+}
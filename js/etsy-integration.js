@@ -1,6 +1,10 @@
 // Moderne Etsy API Integration
+// Benötigt js/money.js: Preise sind Money-Objekte (Anzeige mit priceHtml())
 class EtsyProductManager {
-  constructor() {
+  // currency: CurrencyConverter (js/currency.js) der Seite, damit Produktpreise
+  // in derselben Währung erscheinen wie die Materialkosten
+  constructor({ currency = null } = {}) {
+    this.currency = currency;
     // API-Key aus Konfiguration laden (falls vorhanden)
     // Falls keine config.js vorhanden ist, wird nur Fallback verwendet
     this.apiKey = (typeof CONFIG !== 'undefined' && CONFIG.etsy?.apiKey) 
@@ -47,7 +51,7 @@ class EtsyProductManager {
         id: 'etsy-1',
         title: 'Frühlings-Deko Vorlagen Set',
         description: 'Wunderschöne digitale Vorlagen für Frühlingsdekorationen',
-        price: '€8,99',
+        price: new Money(899),
         image: 'files/produkt1.jpg',
         category: 'templates',
         tags: ['Frühling', 'Digital', 'Deko'],
@@ -58,7 +62,7 @@ class EtsyProductManager {
         id: 'etsy-2', 
         title: 'DIY Vintage Bilderrahmen Anleitung',
         description: 'Schritt-für-Schritt Anleitung für selbstgemachte Vintage-Rahmen',
-        price: '€12,50',
+        price: new Money(1250),
         image: 'files/produkt2.jpg',
         category: 'diy',
         tags: ['Vintage', 'DIY', 'Anleitung'],
@@ -75,7 +79,8 @@ class EtsyProductManager {
       id: `etsy-${product.listing_id}`,
       title: product.title,
       description: product.description.substring(0, 150) + '...',
-      price: `€${product.price}`,
+      // Etsy liefert { amount, divisor, currency_code }
+      price: Money.fromEtsy(product.price),
       image: product.images[0]?.url_fullxfull || 'files/placeholder.jpg',
       category: this.categorizeProduct(product.tags),
       tags: product.tags.slice(0, 3),
@@ -84,6 +89,11 @@ class EtsyProductManager {
     }));
   }
 
+  // Umgerechnet mit "≈"; das Element aktualisiert currency.refresh() beim Währungswechsel
+  priceHtml(product) {
+    return this.currency ? this.currency.html(product.price) : product.price.format();
+  }
+
   categorizeProduct(tags) {
     if (tags.some(tag => tag.includes('digital') || tag.includes('template'))) {
       return 'templates';
@@ -0,0 +1,148 @@
+// ==========================================================================
+// Mehrsprachigkeit: Meldungskataloge, Pluralformen, Projektinhalte
+// ==========================================================================
+//
+// Texte stehen in data/i18n/<sprache>.json als flache Schlüssel
+// ("card.steps"). Pluralformen sind Objekte nach Intl.PluralRules
+// ({ "one": "{count} Schritt", "other": "{count} Schritte" }), Platzhalter
+// werden als {name} geschrieben. Fehlt ein Text, gilt der deutsche.
+//
+// Projektinhalte liegen in data/projects.json unter translations.<sprache>;
+// Materialien und Schritte werden über ihre Position zugeordnet.
+//
+// Die Sprache kommt aus ?lang=en (Links, Start-URL des Manifests), sonst
+// aus der gespeicherten Wahl, sonst aus der Browsersprache.
+//
+// Statischer Text in index.html wird über data-i18n="schlüssel" bzw.
+// data-i18n-attr="attribut:schlüssel;…" übersetzt. Die Ansichten aus
+// js/main.js (Meine Projekte, Einkaufsliste, Datenübertragung, Druck)
+// bekommen die Instanz übergeben und formatieren Datum, Zahlen und Preise
+// mit `locale`; Money übernimmt sie über Money.useI18n().
+
+const I18N_DEFAULT_LANGUAGE = 'de';
+const I18N_STORAGE_KEY = 'language';
+const I18N_LANGUAGES = {
+  de: { label: 'Deutsch', locale: 'de-DE', manifest: '/manifest.json' },
+  en: { label: 'English', locale: 'en-GB', manifest: '/manifest.en.json' }
+};
+
+class I18n {
+  constructor({ storage, baseUrl = 'data/i18n' }) {
+    this.storage = storage;
+    this.baseUrl = baseUrl;
+    this.language = I18N_DEFAULT_LANGUAGE;
+    this.catalogs = {};
+    this.missing = new Set();
+  }
+
+  async load() {
+    this.language = this.detectLanguage();
+
+    const languages = [...new Set([I18N_DEFAULT_LANGUAGE, this.language])];
+    await Promise.all(languages.map(async language => {
+      try {
+        this.catalogs[language] = await this.fetchCatalog(language);
+      } catch (error) {
+        console.error(`Sprachkatalog "${language}" konnte nicht geladen werden:`, error);
+        this.catalogs[language] = {};
+      }
+    }));
+  }
+
+  async fetchCatalog(language) {
+    const response = await fetch(`${this.baseUrl}/${language}.json`);
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    return response.json();
+  }
+
+  detectLanguage() {
+    const requested = new URLSearchParams(window.location.search).get('lang');
+    if (I18N_LANGUAGES[requested]) return requested;
+
+    const saved = this.storage.get(I18N_STORAGE_KEY);
+    if (I18N_LANGUAGES[saved]) return saved;
+
+    const preferred = (navigator.languages || [navigator.language])
+      .map(tag => String(tag).slice(0, 2).toLowerCase())
+      .find(language => I18N_LANGUAGES[language]);
+    return preferred || I18N_DEFAULT_LANGUAGE;
+  }
+
+  get languages() {
+    return Object.keys(I18N_LANGUAGES);
+  }
+
+  get locale() {
+    return I18N_LANGUAGES[this.language].locale;
+  }
+
+  // Wahl merken; die Seite wird danach neu geladen (siehe PortfolioManager)
+  setLanguage(language) {
+    if (!I18N_LANGUAGES[language]) return false;
+    this.storage.set(I18N_STORAGE_KEY, language);
+    return language !== this.language;
+  }
+
+  // t('card.steps', { count: 6 }) → "6 Schritte"
+  t(key, params = {}) {
+    let message = this.lookup(this.language, key) ?? this.lookup(I18N_DEFAULT_LANGUAGE, key);
+
+    if (message === undefined) {
+      if (!this.missing.has(key)) {
+        this.missing.add(key);
+        console.warn(`Übersetzung fehlt: ${key}`);
+      }
+      return key;
+    }
+
+    if (typeof message === 'object') {
+      const form = new Intl.PluralRules(this.locale).select(params.count ?? 0);
+      message = message[form] ?? message.other;
+    }
+
+    return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+  }
+
+  lookup(language, key) {
+    return this.catalogs[language]?.[key];
+  }
+
+  // Projekt in der aktuellen Sprache; fehlende Felder bleiben deutsch
+  localize(project) {
+    const translation = project.translations?.[this.language];
+    if (!translation) return project;
+
+    const mergeByIndex = (items, overrides = []) => items.map((item, index) => ({ ...item, ...overrides[index] }));
+
+    return {
+      ...project,
+      ...translation,
+      materials: mergeByIndex(project.materials, translation.materials),
+      steps: mergeByIndex(project.steps, translation.steps),
+      difficulty_details: { ...project.difficulty_details, ...translation.difficulty_details }
+    };
+  }
+
+  // <html lang>, Manifest und markierte Texte der Seite übersetzen
+  applyDocument(root = document) {
+    document.documentElement.lang = this.language;
+
+    const manifest = document.querySelector('link[rel="manifest"]');
+    if (manifest) {
+      manifest.setAttribute('href', I18N_LANGUAGES[this.language].manifest);
+    }
+
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+      element.textContent = this.t(element.dataset.i18n);
+    });
+
+    root.querySelectorAll('[data-i18n-attr]').forEach(element => {
+      element.dataset.i18nAttr.split(';').forEach(pair => {
+        const [attribute, key] = pair.split(':').map(part => part.trim());
+        if (attribute && key) element.setAttribute(attribute, this.t(key));
+      });
+    });
+  }
+}
@@ -0,0 +1,77 @@
+// ==========================================================================
+// Responsive Bilder: <picture> mit AVIF/WebP/JPEG aus data/images.json
+// ==========================================================================
+//
+// data/images.json erzeugt scripts/build-images.js aus den Fotos in files/.
+// Für jedes Originalbild (Schlüssel wie im HTML, z.B. "files/DSC_5600.jpeg")
+// gibt es srcset-Listen je Format, ein JPEG als Fallback und einen winzigen
+// Platzhalter, der als Hintergrund sichtbar ist, bis das Foto geladen hat.
+// Fehlt die Datei oder ein Eintrag, bleibt das Originalbild stehen.
+//
+// Ob es die Datei gibt, steht in <meta name="image-manifest"> (trägt das
+// Build-Skript in index.html ein); ohne den Eintrag wird nichts geladen.
+
+class ImageManifest {
+  constructor({ url = ImageManifest.urlFromPage() } = {}) {
+    this.url = url;
+    this.images = {};
+  }
+
+  static urlFromPage() {
+    return document.querySelector('meta[name="image-manifest"]')?.content || null;
+  }
+
+  async load() {
+    if (!this.url) return;
+
+    try {
+      const response = await fetch(this.url);
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      this.images = (await response.json()).images || {};
+    } catch (error) {
+      console.warn('Bildvarianten nicht verfügbar, es werden die Originale gezeigt:', error);
+      this.images = {};
+    }
+  }
+
+  get(src) {
+    return this.images[String(src || '').replace(/^\.?\//, '')] || null;
+  }
+
+  // Statische Bilder der Seite: <img data-responsive sizes="…"> in <picture> packen
+  enhance(root = document) {
+    root.querySelectorAll('img[data-responsive]').forEach(img => {
+      const entry = this.get(img.getAttribute('src'));
+      if (!entry || img.parentElement.tagName === 'PICTURE') return;
+
+      const picture = document.createElement('picture');
+      picture.className = 'responsive-picture';
+      picture.innerHTML = ImageManifest.sourcesHtml(entry, img.sizes);
+      img.replaceWith(picture);
+
+      img.src = entry.fallback;
+      img.srcset = entry.sources['image/jpeg'];
+      img.width = entry.width;
+      img.height = entry.height;
+      img.classList.add('has-placeholder');
+      img.style.backgroundImage = `url("${entry.placeholder}")`;
+      picture.appendChild(img);
+    });
+  }
+
+  // <source> je modernem Format; das JPEG steht im srcset des <img>
+  static sourcesHtml(entry, sizes) {
+    const escape = ProjectSearch.escapeHtml;
+
+    return ['image/avif', 'image/webp']
+      .filter(type => entry.sources[type])
+      .map(type => `<source type="${type}" srcset="${escape(entry.sources[type])}" sizes="${escape(sizes)}">`)
+      .join('');
+  }
+
+  static pictureHtml(entry, sizes, imgHtml) {
+    return `<picture class="responsive-picture">${ImageManifest.sourcesHtml(entry, sizes)}${imgHtml}</picture>`;
+  }
+}
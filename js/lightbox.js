@@ -0,0 +1,130 @@
+// ==========================================================================
+// Lightbox: Galeriebilder groß ansehen, blättern und zoomen
+// ==========================================================================
+//
+// open([{ image, label }], index) – `image` wie in js/project-media.js,
+// `label` z.B. "Stadium 2 · Rahmen verleimt". Bedienung: Pfeiltasten bzw.
+// Wischen zum Blättern, +/− oder Doppelklick zum Zoomen, Escape schließt.
+// Fokus und Tasten verwaltet js/dialog.js, damit Escape nur die Lightbox
+// und nicht auch das Projekt-Modal darunter schließt.
+
+class Lightbox {
+  constructor({ i18n }) {
+    this.i18n = i18n;
+    this.element = null;
+    this.items = [];
+    this.index = 0;
+    this.zoomed = false;
+    this.dialog = null;
+    this.detachSwipe = null;
+  }
+
+  get isOpen() {
+    return this.element !== null;
+  }
+
+  open(items, startIndex = 0) {
+    if (items.length === 0) return;
+    this.close();
+
+    this.items = items;
+    this.element = this.createElement();
+    document.body.appendChild(this.element);
+
+    this.detachSwipe = SwipeGesture.attach(this.element.querySelector('.lightbox-stage'), {
+      onPrevious: () => this.show(this.index - 1),
+      onNext: () => this.show(this.index + 1),
+      isEnabled: () => !this.zoomed
+    });
+
+    this.show(startIndex);
+    this.dialog = new Dialog(this.element, {
+      label: this.i18n.t('lightbox.label'),
+      initialFocus: '.lightbox-close',
+      onDismiss: () => this.close(),
+      onKeydown: e => this.handleKeydown(e)
+    });
+    this.dialog.open();
+  }
+
+  close() {
+    if (!this.element) return;
+
+    this.dialog.close();
+    this.detachSwipe();
+    this.element.remove();
+    this.element = null;
+    this.dialog = null;
+  }
+
+  createElement() {
+    const t = (key, params) => this.i18n.t(key, params);
+    const element = document.createElement('div');
+    element.className = 'lightbox';
+    element.innerHTML = `
+      <div class="lightbox-toolbar">
+        <span class="lightbox-counter" aria-live="polite"></span>
+        <button type="button" class="lightbox-zoom" aria-pressed="false">${t('lightbox.zoom')}</button>
+        <button type="button" class="lightbox-close" aria-label="${t('lightbox.close')}">×</button>
+      </div>
+      <div class="lightbox-stage"></div>
+      <p class="lightbox-caption"></p>
+      <button type="button" class="lightbox-prev" aria-label="${t('lightbox.previous')}">‹</button>
+      <button type="button" class="lightbox-next" aria-label="${t('lightbox.next')}">›</button>
+    `;
+
+    element.querySelector('.lightbox-close').addEventListener('click', () => this.close());
+    element.querySelector('.lightbox-prev').addEventListener('click', () => this.show(this.index - 1));
+    element.querySelector('.lightbox-next').addEventListener('click', () => this.show(this.index + 1));
+    element.querySelector('.lightbox-zoom').addEventListener('click', () => this.setZoom(!this.zoomed));
+    element.querySelector('.lightbox-stage').addEventListener('dblclick', () => this.setZoom(!this.zoomed));
+
+    // Klick neben das Bild schließt
+    element.addEventListener('click', (e) => {
+      if (e.target === element) this.close();
+    });
+
+    return element;
+  }
+
+  show(index) {
+    const count = this.items.length;
+    this.index = (index + count) % count;
+    this.setZoom(false);
+
+    const { image, label } = this.items[this.index];
+    const stage = this.element.querySelector('.lightbox-stage');
+    stage.innerHTML = ProjectMedia.html(image, { className: 'lightbox-media', sizes: '100vw', alt: ProjectMedia.alt(image) || label, eager: true });
+
+    this.element.querySelector('.lightbox-caption').textContent = label;
+    this.element.querySelector('.lightbox-counter').textContent = this.i18n.t('lightbox.counter', { current: this.index + 1, total: count });
+    this.element.querySelector('.lightbox-zoom').hidden = !ProjectMedia.isPhoto(image);
+    this.element.querySelectorAll('.lightbox-prev, .lightbox-next').forEach(button => {
+      button.hidden = count < 2;
+    });
+  }
+
+  setZoom(zoomed) {
+    const photo = ProjectMedia.isPhoto(this.items[this.index]?.image);
+    this.zoomed = zoomed && photo;
+    this.element.classList.toggle('is-zoomed', this.zoomed);
+    this.element.querySelector('.lightbox-zoom').setAttribute('aria-pressed', this.zoomed);
+  }
+
+  // Von Dialog aufgerufen; true = Taste erledigt
+  handleKeydown(e) {
+    const actions = {
+      ArrowLeft: () => this.show(this.index - 1),
+      ArrowRight: () => this.show(this.index + 1),
+      '+': () => this.setZoom(true),
+      '=': () => this.setZoom(true),
+      '-': () => this.setZoom(false)
+    };
+
+    const action = actions[e.key];
+    if (!action) return false;
+
+    action();
+    return true;
+  }
+}
@@ -1,6 +1,17 @@
 /**
  * Moderne Website für Bastelglück by Reni
  * Hauptdatei mit allen Komponenten und Funktionalitäten
+ *
+ * Benötigt vorher geladen: js/money.js, js/storage.js, js/motion-preference.js,
+ * js/i18n.js, js/currency.js,
+ * js/user-data-repository.js,
+ * js/project-validator.js, js/project-catalog.js, js/project-search.js,
+ * js/project-facets.js, js/project-sort.js, js/project-router.js,
+ * js/query-state.js, js/my-projects.js, js/bookmarks.js,
+ * js/user-data-transfer.js, js/pdf-document.js, js/project-print.js,
+ * js/shopping-list.js, js/material-scaler.js, js/unit-converter.js,
+ * js/image-manifest.js, js/project-media.js, js/swipe-gesture.js,
+ * js/dialog.js, js/tabs.js, js/roving-grid.js, js/lightbox.js, js/step-videos.js, js/step-player.js
  */
 
 // Performance Tracking für Web Vitals
@@ -41,20 +52,29 @@ class ModernWebsite {
   }
 
   initializeComponents() {
+    // Ein Speicher für alle Komponenten, damit subscribe() und der
+    // Speicher-Fallback überall gleich ankommen
+    const storage = new VersionedStorage();
+    storage.migrate();
+
+    // Bewegungsvorliebe zuerst, alle Animationen richten sich danach
+    const motion = new MotionPreference({ storage });
+    this.components.motion = motion;
+
     // Header initialisieren
     this.components.header = new HeaderComponent();
     
     // Navigation initialisieren
-    this.components.navigation = new NavigationComponent();
+    this.components.navigation = new NavigationComponent({ motion });
     
     // Animationen initialisieren
-    this.components.animations = new AnimationController();
+    this.components.animations = new AnimationController({ motion });
     
     // Portfolio initialisieren
-    this.components.portfolio = new PortfolioManager();
+    this.components.portfolio = new PortfolioManager({ motion, storage });
     
     // Statistiken initialisieren
-    this.components.stats = new StatsCounter();
+    this.components.stats = new StatsCounter({ motion });
     
     // Mobile Optimierungen
     this.setupMobileOptimizations();
@@ -100,7 +120,7 @@ class ModernWebsite {
   enableMobileOptimizations() {
     // Reduzierte Animationen auf schwachen Geräten
     if (navigator.hardwareConcurrency && navigator.hardwareConcurrency < 4) {
-      document.body.classList.add('reduced-animations');
+      this.components.motion.setLowPowerDevice(true);
     }
   }
 
@@ -212,7 +232,8 @@ class HeaderComponent {
 
 // Navigation Component
 class NavigationComponent {
-  constructor() {
+  constructor({ motion }) {
+    this.motion = motion;
     this.mobileMenuButton = document.querySelector('.mobile-menu-button');
     this.navLinks = document.querySelector('.nav-links');
     this.isOpen = false;
@@ -288,10 +309,10 @@ class NavigationComponent {
           this.closeMobileMenu();
         }
         
-        // Smooth Scroll
+        // Smooth Scroll (außer bei reduzierter Bewegung)
         setTimeout(() => {
           targetElement.scrollIntoView({
-            behavior: 'smooth',
+            behavior: this.motion.scrollBehavior,
             block: 'start'
           });
         }, this.isOpen ? 300 : 0);
@@ -309,7 +330,8 @@ class NavigationComponent {
 
 // Animation Controller
 class AnimationController {
-  constructor() {
+  constructor({ motion }) {
+    this.motion = motion;
     this.observedElements = new Set();
     this.init();
   }
@@ -317,6 +339,11 @@ class AnimationController {
   init() {
     this.setupIntersectionObserver();
     this.observeElements();
+
+    // Wird mittendrin auf reduziert umgestellt, alles sofort zeigen
+    this.motion.subscribe(reduced => {
+      if (reduced) this.showAll();
+    });
   }
 
   setupIntersectionObserver() {
@@ -345,6 +372,15 @@ class AnimationController {
       this.observer.observe(element);
       this.observedElements.add(element);
     });
+
+    if (this.motion.reduced) this.showAll();
+  }
+
+  showAll() {
+    this.observedElements.forEach(element => {
+      element.classList.add('animate-in');
+      this.observer.unobserve(element);
+    });
   }
 
   recalculate() {
@@ -360,463 +396,138 @@ class AnimationController {
 
 // Portfolio Manager
 class PortfolioManager {
-  constructor() {
+  constructor({ motion, storage }) {
+    this.motion = motion;
     this.portfolioData = [];
     this.currentFilter = 'all';
+    this.searchQuery = '';
+    this.search = null;
+    this.facets = new ProjectFacets({ getCost: project => this.calculateMaterialCost(project) });
+    this.facetPanel = null;
+    this.storage = storage;
+    this.storage.onQuotaExceeded = () => {
+      this.showNotification(this.i18n.t('notify.quotaExceeded'));
+    };
+    this.i18n = new I18n({ storage: this.storage });
+    this.sorter = new ProjectSorter({
+      getCost: project => this.calculateMaterialCost(project).toNumber(),
+      storage: this.storage
+    });
+    this.activeModal = null;
+    this.userData = new UserDataRepository(this.storage);
+    this.bookmarks = new BookmarkStore(this.userData);
+    this.myProjects = new MyProjectsStore(this.userData);
+    this.myProjectsView = new MyProjectsView({
+      store: this.myProjects,
+      i18n: this.i18n,
+      getProject: id => this.portfolioData.find(item => item.id === id),
+      onOpenProject: id => this.router.navigate(id, 'steps'),
+      onNotify: message => this.showNotification(message),
+      onChange: () => this.shoppingListView.render()
+    });
+    this.userDataView = new UserDataTransferView({
+      transfer: new UserDataTransfer(this.userData, {
+        i18n: this.i18n,
+        getProject: id => this.portfolioData.find(item => item.id === id)
+      }),
+      i18n: this.i18n,
+      getProject: id => this.portfolioData.find(item => item.id === id),
+      onImported: async () => {
+        await this.bookmarks.refresh();
+        await this.myProjectsView.render();
+      },
+      onNotify: message => this.showNotification(message)
+    });
+    this.router = new ProjectRouter({
+      onOpen: (projectId, tab) => this.openProjectById(projectId, tab),
+      onClose: () => this.closeProjectModal({ fromRouter: true })
+    });
+    this.currency = new CurrencyConverter({ storage: this.storage, i18n: this.i18n });
+    this.units = new UnitConverter({ storage: this.storage });
+    this.images = new ImageManifest();
+    this.lightbox = new Lightbox({ i18n: this.i18n });
+    this.stepVideos = new StepVideos({ i18n: this.i18n, motion });
+    this.stepPlayer = new StepPlayer({
+      store: this.myProjects,
+      i18n: this.i18n,
+      videos: this.stepVideos,
+      formatText: text => this.units.format(text, this.i18n.locale),
+      onNotify: message => this.showNotification(message),
+      onChange: () => this.myProjectsView.render()
+    });
+    this.printSheet = new ProjectPrintSheet({
+      getCost: project => this.calculateMaterialCost(project),
+      currency: this.currency,
+      i18n: this.i18n
+    });
+    this.shoppingListView = new ShoppingListView({
+      list: new ShoppingList({
+        getPrice: material => Money.ofMaterial(material),
+        currency: this.currency,
+        i18n: this.i18n
+      }),
+      i18n: this.i18n,
+      storage: this.storage,
+      motion,
+      printSheet: this.printSheet,
+      getProject: id => this.portfolioData.find(item => item.id === id),
+      // Gemerkte und noch nicht fertige gestartete Projekte
+      getCandidates: async () => {
+        const started = await this.myProjects.load().catch(() => []);
+        return [
+          ...this.bookmarks.load(),
+          ...started.filter(entry => !entry.completedAt).map(entry => entry.id)
+        ];
+      },
+      onNotify: message => this.showNotification(message)
+    });
+    this.catalog = new ProjectCatalog();
+    this.loadError = null;
     this.init();
   }
 
   async init() {
-    await this.loadPortfolioData();
+    await Promise.all([
+      this.loadPortfolioData(), this.bookmarks.init(), this.currency.load(), this.i18n.load(), this.images.load()
+    ]);
+    this.portfolioData = this.portfolioData.map(project => this.i18n.localize(project));
+    this.i18n.applyDocument();
+    Money.useI18n(this.i18n);
+    ProjectMedia.useImages(this.images);
+    this.images.enhance();
+    this.initLanguageSwitcher();
+    this.initMotionToggle();
+    this.search = new ProjectSearch(this.portfolioData);
+    this.facets.setProjects(this.portfolioData);
+    this.initBookmarkFilter();
+    this.applyQueryState();
+    this.initFacets();
+    this.initSort();
+    this.initCurrency();
+    this.initCardNavigation();
     this.renderPortfolio();
     this.initFilters();
+    this.initSearch();
+    this.myProjectsView.init();
+    this.shoppingListView.init();
+    this.userDataView.init();
+
+    // Merkliste auch bei Änderungen in anderen Tabs aktuell halten
+    this.bookmarks.subscribe(() => this.handleBookmarksChanged());
+
+    // Deep Links erst nach dem Laden der Projekte auswerten
+    this.router.start();
   }
 
   async loadPortfolioData() {
-    // Erweiterte DIY-Portfolio-Daten mit allen gewünschten Features
-    this.portfolioData = [
-      {
-        id: 1,
-        title: "Vintage Makramee Wandbehang",
-        description: "Trendiger Boho-Wandbehang mit natürlichen Materialien",
-        fullDescription: "Erstellen Sie einen wunderschönen Makramee-Wandbehang im Vintage-Stil. Dieses Projekt kombiniert traditionelle Knüpftechniken mit modernem Design und bringt natürliche Eleganz in jeden Raum.",
-        category: "diy",
-        difficulty: "mittel",
-        timeRequired: "4-6 Stunden",
-        tags: ["Makramee", "Wanddeko", "Boho", "Natürlich"],
-        image: "🪢",
-        gallery: ["🪢", "🧵", "📏", "✂️", "🏠"],
-        materials: [
-          { name: "Makramee-Garn", amount: "200m", price: "€15,99" },
-          { name: "Holzstab", amount: "1 Stück (80cm)", price: "€8,50" },
-          { name: "Schere", amount: "1 Stück", price: "€12,00" },
-          { name: "Maßband", amount: "1 Stück", price: "€3,99" },
-          { name: "Kamm", amount: "1 Stück", price: "€5,50" }
-        ],
-        tools: ["Schere", "Maßband", "Kamm", "Clips zum Fixieren"],
-        steps: [
-          {
-            title: "Vorbereitung",
-            description: "Garn in 16 Stränge à 2,5m schneiden",
-            image: "✂️",
-            time: "15 min",
-            tips: "Alle Stränge sollten exakt gleich lang sein für ein symmetrisches Ergebnis"
-          },
-          {
-            title: "Grundknoten",
-            description: "Garn mit Ankerstich am Holzstab befestigen",
-            image: "🪢", 
-            time: "20 min",
-            tips: "Knoten fest anziehen, aber nicht zu straff - das Garn sollte sich noch bewegen können"
-          },
-          {
-            title: "Oberes Muster",
-            description: "Erste Reihe mit diagonalen Kreuzknoten knüpfen",
-            image: "🔀",
-            time: "45 min",
-            tips: "Gleichmäßige Abstände einhalten für ein professionelles Aussehen"
-          },
-          {
-            title: "Mittelteil",
-            description: "Charakteristische Rhombenmuster erstellen",
-            image: "💎",
-            time: "90 min", 
-            tips: "Vor jedem neuen Abschnitt Länge prüfen und nachmessen"
-          },
-          {
-            title: "Fransen",
-            description: "Untere Enden aufkämmen und gleichmäßig schneiden",
-            image: "🧵",
-            time: "30 min",
-            tips: "Fransen in feuchtem Zustand kämmen für beste Ergebnisse"
-          },
-          {
-            title: "Finishing",
-            description: "Endkontrolle und Aufhängung anbringen",
-            image: "🏠",
-            time: "15 min",
-            tips: "24h hängen lassen, damit sich das Garn setzen kann"
-          }
-        ],
-        difficulty_details: {
-          level: 2,
-          skills: ["Grundknoten", "Kreuzknoten", "Messen"],
-          prerequisites: "Keine Vorkenntnisse nötig",
-          age_group: "Ab 14 Jahren"
-        },
-        featured: true,
-        rating: 4.8,
-        completions: 127
-      },
-      {
-        id: 2,
-        title: "Shabby-Chic Bilderrahmen Upcycling",
-        description: "Alte Rahmen in Vintage-Schätze verwandeln",
-        fullDescription: "Hauchen Sie alten Bilderrahmen neues Leben ein! Mit einfachen Techniken und natürlichen Materialien entstehen einzigartige Vintage-Rahmen mit charaktervollem Shabby-Chic-Look.",
-        category: "diy",
-        difficulty: "einfach",
-        timeRequired: "2-3 Stunden",
-        tags: ["Vintage", "Upcycling", "Rahmen", "Shabby-Chic"],
-        image: "🖼️",
-        gallery: ["🖼️", "🎨", "🪵", "✨", "🏠"],
-        materials: [
-          { name: "Alter Bilderrahmen", amount: "1 Stück", price: "€0,00 (vorhanden)" },
-          { name: "Kreidefarbe weiß", amount: "250ml", price: "€12,99" },
-          { name: "Kreidefarbe grau", amount: "100ml", price: "€8,99" },
-          { name: "Schleifpapier", amount: "3 Blatt", price: "€4,50" },
-          { name: "Pinsel Set", amount: "1 Set", price: "€15,99" },
-          { name: "Wachs", amount: "1 Dose", price: "€11,50" }
-        ],
-        tools: ["Pinsel", "Schleifpapier", "Lappen", "Schutzbrille"],
-        steps: [
-          {
-            title: "Rahmen vorbereiten",
-            description: "Rahmen gründlich reinigen und alte Farbreste entfernen",
-            image: "🧽",
-            time: "20 min",
-            tips: "Bei hartnäckigen Farbresten warmes Seifenwasser verwenden"
-          },
-          {
-            title: "Grundierung",
-            description: "Erste Schicht weiße Kreidefarbe auftragen",
-            image: "🎨",
-            time: "30 min",
-            tips: "Dünne, gleichmäßige Schicht - lieber zwei dünne als eine dicke"
-          },
-          {
-            title: "Trocknen lassen",
-            description: "Farbe vollständig trocknen lassen",
-            image: "⏰",
-            time: "60 min",
-            tips: "Bei hoher Luftfeuchtigkeit länger warten"
-          },
-          {
-            title: "Zweite Schicht",
-            description: "Graue Akzente an Kanten und Vertiefungen",
-            image: "🖌️",
-            time: "25 min",
-            tips: "Mit fast trockenem Pinsel arbeiten für natürlichen Look"
-          },
-          {
-            title: "Distressing",
-            description: "Leicht schleifen für Vintage-Effekt",
-            image: "📜",
-            time: "15 min",
-            tips: "Weniger ist mehr - nur an natürlichen Abnutzungsstellen"
-          },
-          {
-            title: "Versiegelung",
-            description: "Wachs auftragen und polieren",
-            image: "✨",
-            time: "20 min",
-            tips: "Mit kreisenden Bewegungen einarbeiten und nachpolieren"
-          }
-        ],
-        difficulty_details: {
-          level: 1,
-          skills: ["Pinselführung", "Farbauftrag"],
-          prerequisites: "Keine",
-          age_group: "Ab 10 Jahren (mit Hilfe)"
-        },
-        featured: true,
-        rating: 4.9,
-        completions: 203
-      },
-      {
-        id: 3,
-        title: "Frühlingshafte Türkränze",
-        description: "Natürliche Frühlingsdeko für den Eingangsbereich",
-        fullDescription: "Begrüßen Sie den Frühling mit einem selbstgemachten Türkranz aus natürlichen Materialien. Dieser Kranz bringt frische Farben und Frühlingsduft direkt vor Ihre Haustür.",
-        category: "seasonal",
-        difficulty: "einfach",
-        timeRequired: "1-2 Stunden",
-        tags: ["Frühling", "Türkranz", "Natur", "Deko"],
-        image: "🌸",
-        gallery: ["🌸", "🌿", "🌻", "🎀", "🚪"],
-        materials: [
-          { name: "Strohkranz", amount: "1 Stück (30cm)", price: "€7,99" },
-          { name: "Frühlingsblumen künstlich", amount: "1 Bund", price: "€12,50" },
-          { name: "Efeuranken", amount: "2m", price: "€8,99" },
-          { name: "Satinband", amount: "1m", price: "€4,50" },
-          { name: "Heißkleber", amount: "10 Sticks", price: "€3,99" },
-          { name: "Draht", amount: "2m", price: "€2,50" }
-        ],
-        tools: ["Heißklebepistole", "Drahtschere", "Schere"],
-        steps: [
-          {
-            title: "Basis wickeln",
-            description: "Efeuranken um den Strohkranz wickeln",
-            image: "🌿",
-            time: "20 min",
-            tips: "Überlappend wickeln für vollständige Abdeckung"
-          },
-          {
-            title: "Blumen vorbereiten", 
-            description: "Künstliche Blumen von Stielen trennen",
-            image: "🌻",
-            time: "15 min",
-            tips: "Verschiedene Größen für natürlichen Look beibehalten"
-          },
-          {
-            title: "Blumen befestigen",
-            description: "Blumen mit Heißkleber am Kranz befestigen",
-            image: "🌸",
-            time: "30 min",
-            tips: "Von größeren zu kleineren Blumen arbeiten"
-          },
-          {
-            title: "Akzente setzen",
-            description: "Kleinere Elemente und Grün hinzufügen",
-            image: "🌾",
-            time: "20 min", 
-            tips: "Unregelmäßige Verteilung wirkt natürlicher"
-          },
-          {
-            title: "Schleife binden",
-            description: "Dekorative Schleife aus Satinband",
-            image: "🎀",
-            time: "10 min",
-            tips: "Schleife erst zum Schluss befestigen"
-          },
-          {
-            title: "Aufhängung",
-            description: "Drahtschlaufe zur Befestigung anbringen",
-            image: "🚪",
-            time: "5 min",
-            tips: "Verstärkt befestigen für Wind-Sicherheit"
-          }
-        ],
-        difficulty_details: {
-          level: 1,
-          skills: ["Wickeln", "Kleben", "Drapieren"],
-          prerequisites: "Keine", 
-          age_group: "Ab 8 Jahren"
-        },
-        featured: false,
-        rating: 4.7,
-        completions: 156
-      },
-      {
-        id: 4,
-        title: "Holz-Schmuckschalen mit Brandmalerei",
-        description: "Personalisierte Schmuckaufbewahrung mit Pyrografie",
-        fullDescription: "Erstellen Sie einzigartige Schmuckschalen aus Holz mit der faszinierenden Technik der Brandmalerei. Jede Schale wird zum individuellen Kunstwerk mit persönlichen Motiven.",
-        category: "diy",
-        difficulty: "fortgeschritten",
-        timeRequired: "6-8 Stunden",
-        tags: ["Holz", "Brandmalerei", "Schmuck", "Personalisiert"],
-        image: "🔥",
-        gallery: ["🔥", "🪵", "💍", "🎨", "✨"],
-        materials: [
-          { name: "Holzschale roh", amount: "1 Stück", price: "€15,99" },
-          { name: "Schleifpapier Set", amount: "1 Set", price: "€8,50" },
-          { name: "Brandmalkolben", amount: "1 Set", price: "€45,00" },
-          { name: "Holzbeize", amount: "1 Flasche", price: "€9,99" },
-          { name: "Klarlack", amount: "1 Dose", price: "€12,50" },
-          { name: "Vorlage Papier", amount: "5 Blatt", price: "€2,99" }
-        ],
-        tools: ["Brandmalkolben", "Schleifpapier", "Pinsel", "Schutzbrille", "Arbeitshandschuhe"],
-        steps: [
-          {
-            title: "Holz vorbereiten",
-            description: "Schale gründlich schleifen und reinigen",
-            image: "🪵",
-            time: "60 min",
-            tips: "Mit verschiedenen Körnungen von grob zu fein arbeiten"
-          },
-          {
-            title: "Design übertragen",
-            description: "Motiv mit Kohlepapier auf Holz übertragen",
-            image: "📝",
-            time: "30 min",
-            tips: "Leicht andrücken, um Kohlereste zu minimieren"
-          },
-          {
-            title: "Brandmalerei",
-            description: "Motiv mit Brandmalkolben nachzeichnen",
-            image: "🔥",
-            time: "180 min",
-            tips: "Langsam und gleichmäßig führen, Kolben regelmäßig reinigen"
-          },
-          {
-            title: "Details ausarbeiten",
-            description: "Feine Linien und Schattierungen hinzufügen",
-            image: "🎨",
-            time: "120 min",
-            tips: "Verschiedene Aufsätze für unterschiedliche Effekte nutzen"
-          },
-          {
-            title: "Beizen",
-            description: "Holzbeize für warmen Farbton auftragen",
-            image: "🖌️",
-            time: "20 min",
-            tips: "Mit dem Faserverlauf arbeiten für gleichmäßigen Ton"
-          },
-          {
-            title: "Versiegeln",
-            description: "Klarlack für Schutz und Glanz auftragen",
-            image: "✨",
-            time: "30 min",
-            tips: "Mehrere dünne Schichten besser als eine dicke"
-          }
-        ],
-        difficulty_details: {
-          level: 3,
-          skills: ["Brandmalerei", "Holzbearbeitung", "Feinmotorik"],
-          prerequisites: "Erfahrung mit Brandmalkolben empfohlen",
-          age_group: "Ab 16 Jahren"
-        },
-        featured: true,
-        rating: 4.6,
-        completions: 89
-      },
-      {
-        id: 5,
-        title: "Advent-Kalender aus Papiertüten",
-        description: "Nachhaltige Weihnachtsdeko zum Selbermachen",
-        fullDescription: "Kreieren Sie einen zauberhaften Adventskalender aus umweltfreundlichen Materialien. 24 liebevoll gestaltete Tütchen bringen Vorfreude in die Weihnachtszeit.",
-        category: "seasonal",
-        difficulty: "einfach",
-        timeRequired: "3-4 Stunden",
-        tags: ["Weihnachten", "Adventskalender", "Nachhaltig", "Familie"],
-        image: "🎄",
-        gallery: ["🎄", "📦", "🎁", "✨", "🏠"],
-        materials: [
-          { name: "Papiertüten braun", amount: "24 Stück", price: "€8,99" },
-          { name: "Zahlen-Sticker", amount: "1 Set", price: "€4,50" },
-          { name: "Washi-Tape", amount: "5 Rollen", price: "€12,99" },
-          { name: "Satinband", amount: "3m", price: "€6,50" },
-          { name: "Holzklammern", amount: "24 Stück", price: "€5,99" },
-          { name: "Leine", amount: "3m", price: "€3,50" }
-        ],
-        tools: ["Schere", "Locher", "Klebestift"],
-        steps: [
-          {
-            title: "Tüten vorbereiten",
-            description: "Alle Papiertüten auf gleiche Größe bringen",
-            image: "📦",
-            time: "20 min",
-            tips: "Oberkante sauber falten für einheitliches Aussehen"
-          },
-          {
-            title: "Zahlen aufkleben",
-            description: "Zahlen 1-24 auf die Tüten kleben",
-            image: "🔢",
-            time: "15 min",
-            tips: "Mittig positionieren und gleichmäßige Abstände einhalten"
-          },
-          {
-            title: "Verzieren",
-            description: "Jede Tüte individuell mit Washi-Tape gestalten",
-            image: "🎨",
-            time: "90 min",
-            tips: "Verschiedene Muster kombinieren für abwechslungsreichen Look"
-          },
-          {
-            title: "Verschluss vorbereiten",
-            description: "Löcher für Aufhängung stanzen",
-            image: "🕳️",
-            time: "10 min",
-            tips: "Verstärker-Aufkleber verwenden für stabilere Löcher"
-          },
-          {
-            title: "Befüllen",
-            description: "Kleine Geschenke oder Süßigkeiten einfüllen",
-            image: "🎁",
-            time: "30 min",
-            tips: "Nicht zu schwer befüllen, damit Aufhängung hält"
-          },
-          {
-            title: "Aufhängen",
-            description: "Kalender an Leine oder Ast aufhängen",
-            image: "🏠",
-            time: "15 min",
-            tips: "Leine straff spannen und gleichmäßige Abstände beachten"
-          }
-        ],
-        difficulty_details: {
-          level: 1,
-          skills: ["Kleben", "Lochen", "Arrangieren"],
-          prerequisites: "Keine",
-          age_group: "Ab 6 Jahren (mit Hilfe)"
-        },
-        featured: false,
-        rating: 4.9,
-        completions: 234
-      },
-      {
-        id: 6,
-        title: "Digitale Bullet Journal Vorlagen",
-        description: "Personalisierbare Planer für digitale Organisation",
-        fullDescription: "Erstellen Sie professionelle digitale Bullet Journal Vorlagen für verschiedene Planer-Apps. Diese Templates helfen bei der Organisation von Terminen, Zielen und täglichen Aufgaben.",
-        category: "templates",
-        difficulty: "mittel",
-        timeRequired: "5-7 Stunden",
-        tags: ["Digital", "Planer", "Organisation", "Templates"],
-        image: "📱",
-        gallery: ["📱", "💻", "📝", "🎨", "📊"],
-        materials: [
-          { name: "Design-Software Lizenz", amount: "1 Monat", price: "€20,99" },
-          { name: "Schriftarten Paket", amount: "1 Set", price: "€15,00" },
-          { name: "Icon-Sammlung", amount: "1 Set", price: "€12,50" },
-          { name: "Farbpalette Guide", amount: "1 Stück", price: "€8,99" }
-        ],
-        tools: ["Computer/Tablet", "Design-Software", "Stylus (optional)"],
-        steps: [
-          {
-            title: "Konzept entwickeln",
-            description: "Layout und Funktionen planen",
-            image: "💡",
-            time: "60 min",
-            tips: "Zielgruppe und Verwendungszweck klar definieren"
-          },
-          {
-            title: "Grundlayout",
-            description: "Master-Template mit Grundelementen erstellen",
-            image: "📐",
-            time: "90 min",
-            tips: "Konsistente Abstände und Proportionen verwenden"
-          },
-          {
-            title: "Monatsübersicht",
-            description: "Kalender-Layout für Monatsplanung",
-            image: "📅",
-            time: "75 min",
-            tips: "Genug Platz für Einträge, aber kompakt bleiben"
-          },
-          {
-            title: "Wochenansicht",
-            description: "Detaillierte Wochenplaner erstellen",
-            image: "📋",
-            time: "90 min",
-            tips: "Verschiedene Zeitraster für unterschiedliche Bedürfnisse"
-          },
-          {
-            title: "Spezialseiten",
-            description: "Habit Tracker, Notizen, Goals hinzufügen",
-            image: "🎯",
-            time: "120 min",
-            tips: "Vielseitigkeit ohne Überladung anstreben"
-          },
-          {
-            title: "Export vorbereiten",
-            description: "Verschiedene Formate und Größen erstellen",
-            image: "💾",
-            time: "45 min",
-            tips: "PDF, PNG, und native App-Formate bereitstellen"
-          }
-        ],
-        difficulty_details: {
-          level: 2,
-          skills: ["Design-Software", "Layout-Design", "Digitale Gestaltung"],
-          prerequisites: "Grundkenntnisse in Design-Software",
-          age_group: "Ab 14 Jahren"
-        },
-        featured: false,
-        rating: 4.5,
-        completions: 178
-      }
-    ];
+    // Projekte aus dem versionierten Katalog laden (data/projects.json)
+    try {
+      this.portfolioData = await this.catalog.load();
+    } catch (error) {
+      console.error('Projekt-Katalog konnte nicht geladen werden:', error);
+      this.portfolioData = [];
+      this.loadError = error;
+    }
   }
 
   renderPortfolio() {
@@ -826,13 +537,41 @@ class PortfolioManager {
     // Loading Spinner entfernen
     grid.innerHTML = '';
 
-    // Projekte nach Filter filtern
-    const filteredItems = this.currentFilter === 'all' 
-      ? this.portfolioData 
-      : this.portfolioData.filter(item => item.category === this.currentFilter);
+    if (this.loadError) {
+      grid.innerHTML = `<p class="no-results">${this.i18n.t('portfolio.loadError')}</p>`;
+      return;
+    }
+
+    this.syncQueryState();
+
+    // Projekte nach Filter filtern ("Gemerkt" ist ein Pseudo-Filter)
+    let filteredItems = this.portfolioData;
+    if (this.currentFilter === 'bookmarked') {
+      const bookmarkedIds = this.bookmarks.load();
+      filteredItems = this.portfolioData.filter(item => bookmarkedIds.includes(item.id));
+    } else if (this.currentFilter !== 'all') {
+      filteredItems = this.portfolioData.filter(item => item.category === this.currentFilter);
+    }
+
+    // Suchbegriff auf das Filter-Ergebnis anwenden (sortiert nach Relevanz)
+    if (this.searchQuery) {
+      filteredItems = this.search.search(this.searchQuery, filteredItems);
+    }
+
+    // Facetten zählen auf Basis von Kategorie + Suche, danach anwenden
+    this.updateFacetCounts(filteredItems);
+    filteredItems = this.sorter.apply(this.facets.apply(filteredItems));
 
     if (filteredItems.length === 0) {
-      grid.innerHTML = '<p class="no-results">Keine Projekte in dieser Kategorie gefunden.</p>';
+      let message = this.i18n.t('empty.category');
+      if (this.currentFilter === 'bookmarked' && this.bookmarks.load().length === 0) {
+        message = this.i18n.t('empty.bookmarks');
+      } else if (this.searchQuery) {
+        message = this.i18n.t('empty.search', { query: ProjectSearch.escapeHtml(this.searchQuery) });
+      } else if (this.facets.activeCount() > 0) {
+        message = this.i18n.t('empty.facets');
+      }
+      grid.innerHTML = `<p class="no-results">${message}</p>`;
       return;
     }
 
@@ -841,6 +580,7 @@ class PortfolioManager {
       const portfolioItem = this.createPortfolioItem(item, index);
       grid.appendChild(portfolioItem);
     });
+    this.cardGrid?.refresh();
 
     // Trigger Animations
     this.triggerItemAnimations();
@@ -849,7 +589,8 @@ class PortfolioManager {
   createPortfolioItem(item, index) {
     const article = document.createElement('article');
     article.className = 'portfolio-item';
-    article.style.animationDelay = `${index * 0.1}s`;
+    article.style.animationDelay = `${this.motion.stagger(index, 100)}ms`;
+    article.setAttribute('aria-labelledby', `portfolio-title-${item.id}`);
     
     // Schwierigkeitsgrad-Anzeige
     const difficultyClass = {
@@ -861,69 +602,106 @@ class PortfolioManager {
     const difficultyStars = '★'.repeat(item.difficulty_details.level) + '☆'.repeat(3 - item.difficulty_details.level);
     
     // Featured Badge
-    const featuredBadge = item.featured ? '<div class="featured-badge">⭐ Empfohlen</div>' : '';
+    const featuredBadge = item.featured ? `<div class="featured-badge">${this.i18n.t('card.featured')}</div>` : '';
+    
+    // Suchtreffer hervorheben; ohne Suche nur maskieren
+    const escape = ProjectSearch.escapeHtml;
+    const mark = text => this.searchQuery ? this.search.highlight(text, this.searchQuery) : escape(text);
     
     article.innerHTML = `
-      <div class="portfolio-image" role="img" aria-label="${item.title}">
-        ${item.image}
+      <div class="portfolio-image" role="img" aria-label="${escape(item.title)}">
+        ${ProjectMedia.html(item.image, { className: 'portfolio-photo', sizes: '(max-width: 768px) 100vw, 360px', alt: '' })}
         ${featuredBadge}
         <div class="project-gallery-preview">
-          ${item.gallery.slice(1, 4).map(img => `<span class="gallery-thumb">${img}</span>`).join('')}
+          ${item.gallery.slice(1, 4).map(img => ProjectMedia.html(img, { className: 'gallery-thumb', sizes: '32px', alt: '' })).join('')}
           ${item.gallery.length > 4 ? `<span class="more-images">+${item.gallery.length - 4}</span>` : ''}
         </div>
       </div>
       <div class="portfolio-content">
         <div class="portfolio-header">
-          <h3>${item.title}</h3>
+          <h3 id="portfolio-title-${item.id}">${mark(item.title)}</h3>
           <div class="project-meta">
-            <span class="difficulty-indicator ${difficultyClass}" title="${item.difficulty}">
+            <span class="difficulty-indicator ${difficultyClass}" title="${this.i18n.t(`difficulty.${item.difficulty}`)}">
               ${difficultyStars}
             </span>
-            <span class="time-indicator" title="Benötigte Zeit">
+            <span class="time-indicator" title="${this.i18n.t('card.time')}">
               ⏱️ ${item.timeRequired}
             </span>
           </div>
         </div>
-        <p class="project-description">${item.description}</p>
+        <p class="project-description">${mark(item.description)}</p>
         <div class="project-details">
           <div class="material-count">
-            📦 ${item.materials.length} Materialien
+            📦 ${this.i18n.t('card.materials', { count: item.materials.length })}
           </div>
           <div class="steps-count">
-            📋 ${item.steps.length} Schritte
+            📋 ${this.i18n.t('card.steps', { count: item.steps.length })}
           </div>
           <div class="rating-display">
             ⭐ ${item.rating} (${item.completions})
           </div>
         </div>
         <div class="portfolio-tags">
-          ${item.tags.map(tag => `<span class="portfolio-tag">${tag}</span>`).join('')}
+          ${item.tags.map(tag => `<span class="portfolio-tag">${mark(tag)}</span>`).join('')}
         </div>
         <div class="portfolio-actions">
           <button class="view-project-btn" data-project-id="${item.id}">
             <span>📖</span>
-            <span>Anleitung ansehen</span>
+            <span>${this.i18n.t('card.view')}</span>
+          </button>
+          <button class="card-bookmark-btn" data-bookmark-id="${item.id}" aria-pressed="false">
+            <span aria-hidden="true">🔖</span>
+            <span class="sr-only bookmark-label">${this.i18n.t('bookmark.add')}</span>
           </button>
         </div>
       </div>
     `;
 
+    const bookmarkBtn = article.querySelector('.card-bookmark-btn');
+    this.updateBookmarkButton(bookmarkBtn, this.bookmarks.has(item.id));
+    bookmarkBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.bookmarkProject(item);
+    });
+
     // Click Handler für Anleitung
     const viewBtn = article.querySelector('.view-project-btn');
     viewBtn.addEventListener('click', (e) => {
       e.stopPropagation();
-      this.openProjectModal(item);
+      this.router.navigate(item.id);
     });
 
     // Click Handler für Portfolio-Item (öffnet auch Modal)
     article.addEventListener('click', () => {
-      this.openProjectModal(item);
+      this.router.navigate(item.id);
     });
 
     return article;
   }
 
-  openProjectModal(project) {
+  // Vom Router aufgerufen (#project-3 bzw. #project-3/steps)
+  openProjectById(projectId, tab = null) {
+    const project = this.portfolioData.find(item => item.id === projectId);
+
+    if (!project) {
+      this.showNotification(this.i18n.t('notify.projectMissing'));
+      this.router.close();
+      return;
+    }
+
+    // Gleiches Projekt schon offen: nur den Tab wechseln
+    if (this.activeModal && this.activeModal.project.id === projectId) {
+      this.activateTab(this.activeModal.tabs, tab || 'overview');
+      return;
+    }
+
+    // Beim Wechsel direkt zum nächsten Projekt geht der Fokus später an die Karte zurück
+    const returnFocus = this.activeModal?.dialog.returnFocus;
+    this.closeProjectModal({ fromRouter: true, immediate: true });
+    this.openProjectModal(project, tab, { returnFocus });
+  }
+
+  openProjectModal(project, tab = null, { returnFocus } = {}) {
     // Erstelle und zeige detailliertes Projekt-Modal
     const modal = this.createProjectModal(project);
     document.body.appendChild(modal);
@@ -935,26 +713,61 @@ class PortfolioManager {
     }, 10);
 
     // Close Handlers
-    const closeModal = () => {
+    let closed = false;
+    const closeModal = ({ fromRouter = false, immediate = false } = {}) => {
+      if (closed) return;
+      closed = true;
+
+      dialog.close({ restoreFocus: !immediate });
+      tabs.destroy();
+      stopVideos();
+      if (this.activeModal?.element === modal) {
+        this.activeModal = null;
+      }
+      if (!fromRouter) {
+        this.router.close();
+      }
+
+      const removeModal = () => {
+        modal.remove();
+        if (!this.activeModal) {
+          document.body.style.overflow = '';
+        }
+      };
+
       modal.classList.remove('active');
-      setTimeout(() => {
-        document.body.removeChild(modal);
-        document.body.style.overflow = '';
-      }, 300);
+      if (immediate) {
+        removeModal();
+      } else {
+        setTimeout(removeModal, 300);
+      }
     };
 
-    modal.querySelector('.modal-close').addEventListener('click', closeModal);
-    modal.querySelector('.modal-backdrop').addEventListener('click', closeModal);
-    
-    document.addEventListener('keydown', function escHandler(e) {
-      if (e.key === 'Escape') {
-        closeModal();
-        document.removeEventListener('keydown', escHandler);
-      }
-    });
+    // Schritt-Videos erst laden, wenn sie im Anleitungs-Tab sichtbar werden
+    const stopVideos = this.stepVideos.observe(modal, project.steps);
+
+    modal.querySelector('.modal-close').addEventListener('click', () => closeModal());
+    modal.querySelector('.modal-backdrop').addEventListener('click', () => closeModal());
 
     // Tab Navigation für Steps
-    this.initStepNavigation(modal, project);
+    const tabs = this.initStepNavigation(modal, project);
+    if (tab) {
+      this.activateTab(tabs, tab);
+    }
+
+    const dialog = new Dialog(modal, {
+      labelledBy: `project-modal-title-${project.id}`,
+      initialFocus: '.modal-close',
+      onDismiss: () => closeModal()
+    });
+    this.activeModal = { project, element: modal, close: closeModal, dialog, tabs };
+    dialog.open({ returnFocus });
+  }
+
+  closeProjectModal(options = {}) {
+    if (this.activeModal) {
+      this.activeModal.close(options);
+    }
   }
 
   createProjectModal(project) {
@@ -962,40 +775,42 @@ class PortfolioManager {
     modal.className = 'project-modal';
     
     const difficultyStars = '★'.repeat(project.difficulty_details.level) + '☆'.repeat(3 - project.difficulty_details.level);
-    const totalCost = project.materials.reduce((sum, material) => {
-      return sum + parseFloat(material.price.replace('€', '').replace(',', '.'));
-    }, 0);
+    const totalCost = this.calculateMaterialCost(project);
+    const t = (key, params) => this.i18n.t(key, params);
+    const measure = text => this.units.format(text, this.i18n.locale);
+    const tabId = name => `project-${project.id}-tab-${name}`;
+    const panelId = name => `project-${project.id}-${name}`;
     
     modal.innerHTML = `
       <div class="modal-backdrop"></div>
       <div class="modal-content">
-        <button class="modal-close" aria-label="Modal schließen">×</button>
+        <button class="modal-close" aria-label="${t('modal.close')}">×</button>
         
         <!-- Modal Header -->
         <div class="modal-header">
           <div class="project-hero">
             <div class="project-main-image">
-              <span class="main-emoji">${project.image}</span>
-              ${project.featured ? '<div class="featured-badge">⭐ Empfohlen</div>' : ''}
+              ${ProjectMedia.html(project.image, { className: 'main-emoji', sizes: '150px', eager: true })}
+              ${project.featured ? `<div class="featured-badge">${t('card.featured')}</div>` : ''}
             </div>
             <div class="project-info">
-              <h1>${project.title}</h1>
+              <h2 id="project-modal-title-${project.id}">${project.title}</h2>
               <p class="project-full-description">${project.fullDescription}</p>
               <div class="project-stats">
                 <div class="stat">
                   <span class="stat-icon">⭐</span>
                   <span class="stat-value">${project.rating}</span>
-                  <span class="stat-label">(${project.completions} mal gemacht)</span>
+                  <span class="stat-label">${t('modal.completions', { count: project.completions })}</span>
                 </div>
                 <div class="stat">
                   <span class="stat-icon">⏱️</span>
                   <span class="stat-value">${project.timeRequired}</span>
-                  <span class="stat-label">Arbeitszeit</span>
+                  <span class="stat-label">${t('modal.time')}</span>
                 </div>
                 <div class="stat">
                   <span class="stat-icon">💰</span>
-                  <span class="stat-value">~€${totalCost.toFixed(2)}</span>
-                  <span class="stat-label">Materialkosten</span>
+                  <span class="stat-value">${this.currency.html(totalCost)}</span>
+                  <span class="stat-label">${t('modal.cost')}</span>
                 </div>
               </div>
             </div>
@@ -1004,40 +819,48 @@ class PortfolioManager {
 
         <!-- Modal Navigation -->
         <div class="modal-nav">
-          <button class="nav-tab active" data-tab="overview">Übersicht</button>
-          <button class="nav-tab" data-tab="materials">Materialien</button>
-          <button class="nav-tab" data-tab="steps">Anleitung</button>
-          <button class="nav-tab" data-tab="gallery">Galerie</button>
+          <div class="modal-tabs" role="tablist" aria-label="${t('modal.tabs')}">
+            ${['overview', 'materials', 'steps', 'gallery'].map((name, index) => `
+              <button type="button" class="nav-tab ${index === 0 ? 'active' : ''}" role="tab" data-tab="${name}"
+                      id="${tabId(name)}" aria-controls="${panelId(name)}" aria-selected="${index === 0}">${t(`modal.tab.${name}`)}</button>
+            `).join('')}
+          </div>
+          <div class="unit-toggle" role="group" aria-label="${t('modal.units')}">
+            ${UNIT_SYSTEMS.map(system => `
+              <button type="button" class="unit-option" data-unit-system="${system}"
+                      aria-pressed="${system === this.units.system}">${t(`modal.units.${system}`)}</button>
+            `).join('')}
+          </div>
         </div>
 
         <!-- Modal Body -->
         <div class="modal-body">
           
           <!-- Overview Tab -->
-          <div class="tab-content active" id="overview">
+          <div class="tab-content active" id="${panelId('overview')}" role="tabpanel" aria-labelledby="${tabId('overview')}" tabindex="0">
             <div class="overview-grid">
               <div class="difficulty-card">
-                <h3>Schwierigkeitsgrad</h3>
+                <h3>${t('modal.difficulty')}</h3>
                 <div class="difficulty-display">
                   <span class="difficulty-stars">${difficultyStars}</span>
-                  <span class="difficulty-text">${project.difficulty}</span>
+                  <span class="difficulty-text">${t(`difficulty.${project.difficulty}`)}</span>
                 </div>
                 <div class="difficulty-details">
-                  <p><strong>Benötigte Fähigkeiten:</strong> ${project.difficulty_details.skills.join(', ')}</p>
-                  <p><strong>Voraussetzungen:</strong> ${project.difficulty_details.prerequisites}</p>
-                  <p><strong>Altersgruppe:</strong> ${project.difficulty_details.age_group}</p>
+                  <p><strong>${t('modal.skills')}</strong> ${project.difficulty_details.skills.join(', ')}</p>
+                  <p><strong>${t('modal.prerequisites')}</strong> ${project.difficulty_details.prerequisites}</p>
+                  <p><strong>${t('modal.ageGroup')}</strong> ${project.difficulty_details.age_group}</p>
                 </div>
               </div>
               
               <div class="tools-card">
-                <h3>Benötigte Werkzeuge</h3>
+                <h3>${t('modal.tools')}</h3>
                 <div class="tools-list">
                   ${project.tools.map(tool => `<span class="tool-item">🔧 ${tool}</span>`).join('')}
                 </div>
               </div>
               
               <div class="tags-card">
-                <h3>Kategorien</h3>
+                <h3>${t('modal.tags')}</h3>
                 <div class="modal-tags">
                   ${project.tags.map(tag => `<span class="modal-tag">${tag}</span>`).join('')}
                 </div>
@@ -1046,30 +869,41 @@ class PortfolioManager {
           </div>
 
           <!-- Materials Tab -->
-          <div class="tab-content" id="materials">
+          <div class="tab-content" id="${panelId('materials')}" role="tabpanel" aria-labelledby="${tabId('materials')}" tabindex="0" hidden>
             <div class="materials-section">
-              <h3>Materialliste</h3>
+              <h3>${t('modal.materials')}</h3>
+              <div class="materials-quantity">
+                <label for="materials-quantity-${project.id}">${t('modal.quantity')}</label>
+                <input type="number" id="materials-quantity-${project.id}" class="quantity-input"
+                       min="1" max="${MATERIAL_SCALER_MAX}" value="1" inputmode="numeric">
+                <span class="quantity-unit">${t('modal.quantityUnit', { count: 1 })}</span>
+              </div>
               <div class="materials-grid">
                 ${project.materials.map(material => `
                   <div class="material-item">
                     <div class="material-info">
                       <span class="material-name">${material.name}</span>
-                      <span class="material-amount">${material.amount}</span>
+                      <span class="material-amount">${measure(material.amount)}</span>
+                      <small class="material-fixed" hidden>${t('modal.materialFixed')}</small>
                     </div>
-                    <span class="material-price">${material.price}</span>
+                    <span class="material-price">${this.currency.materialHtml(material)}</span>
                   </div>
                 `).join('')}
               </div>
               <div class="materials-total">
-                <strong>Geschätzte Gesamtkosten: €${totalCost.toFixed(2)}</strong>
+                <strong>${t('modal.total', { cost: this.currency.html(totalCost) })}</strong>
+                ${this.currency.noteHtml()}
               </div>
             </div>
           </div>
 
           <!-- Steps Tab -->
-          <div class="tab-content" id="steps">
+          <div class="tab-content" id="${panelId('steps')}" role="tabpanel" aria-labelledby="${tabId('steps')}" tabindex="0" hidden>
             <div class="steps-section">
-              <h3>Schritt-für-Schritt Anleitung</h3>
+              <div class="steps-header">
+                <h3>${t('modal.steps')}</h3>
+                <button type="button" class="videos-offline-btn" hidden>${t('modal.videosOffline')}</button>
+              </div>
               <div class="steps-list">
                 ${project.steps.map((step, index) => `
                   <div class="step-item">
@@ -1080,12 +914,13 @@ class PortfolioManager {
                         <span class="step-time">⏱️ ${step.time}</span>
                       </div>
                       <div class="step-visual">
-                        <span class="step-emoji">${step.image}</span>
+                        ${ProjectMedia.html(step.image, { className: 'step-emoji', sizes: '(max-width: 768px) 100vw, 320px' })}
+                        ${step.video ? this.stepVideos.placeholderHtml(step.video, index) : ''}
                       </div>
-                      <p class="step-description">${step.description}</p>
+                      <p class="step-description">${measure(step.description)}</p>
                       <div class="step-tip">
                         <span class="tip-icon">💡</span>
-                        <span class="tip-text">${step.tips}</span>
+                        <span class="tip-text">${measure(step.tips)}</span>
                       </div>
                     </div>
                   </div>
@@ -1095,15 +930,16 @@ class PortfolioManager {
           </div>
 
           <!-- Gallery Tab -->
-          <div class="tab-content" id="gallery">
+          <div class="tab-content" id="${panelId('gallery')}" role="tabpanel" aria-labelledby="${tabId('gallery')}" tabindex="0" hidden>
             <div class="gallery-section">
-              <h3>Projekt-Galerie</h3>
+              <h3>${t('modal.gallery')}</h3>
               <div class="gallery-grid">
-                ${project.gallery.map((img, index) => `
-                  <div class="gallery-item" data-stage="${index}">
-                    <span class="gallery-emoji">${img}</span>
-                    <div class="gallery-label">Stadium ${index + 1}</div>
-                  </div>
+                ${this.galleryItems(project).map(({ image, label }, index) => `
+                  <button type="button" class="gallery-item" data-stage="${index}"
+                          aria-label="${t('modal.galleryOpen', { label: ProjectSearch.escapeHtml(label) })}">
+                    ${ProjectMedia.html(image, { className: 'gallery-emoji', sizes: '(max-width: 768px) 50vw, 200px' })}
+                    <span class="gallery-label">${ProjectSearch.escapeHtml(label)}</span>
+                  </button>
                 `).join('')}
               </div>
             </div>
@@ -1114,17 +950,27 @@ class PortfolioManager {
         <!-- Modal Footer -->
         <div class="modal-footer">
           <div class="footer-actions">
-            <button class="bookmark-btn">
+            <button class="bookmark-btn" data-bookmark-id="${project.id}" aria-pressed="false">
               <span>🔖</span>
-              <span>Merken</span>
+              <span class="bookmark-label">${t('bookmark.add')}</span>
             </button>
             <button class="share-btn">
               <span>📤</span>
-              <span>Teilen</span>
+              <span>${t('modal.share')}</span>
             </button>
+            <details class="print-menu">
+              <summary class="print-btn">
+                <span>🖨️</span>
+                <span>${t('modal.print')}</span>
+              </summary>
+              <div class="print-menu-options">
+                <button type="button" data-print="sheet">${t('modal.printSheet')}</button>
+                <button type="button" data-print="pdf">${t('modal.printPdf')}</button>
+              </div>
+            </details>
             <button class="start-project-btn">
               <span>🚀</span>
-              <span>Projekt starten</span>
+              <span>${t('modal.start')}</span>
             </button>
           </div>
         </div>
@@ -1134,26 +980,36 @@ class PortfolioManager {
     return modal;
   }
 
-  initStepNavigation(modal, project) {
-    const tabs = modal.querySelectorAll('.nav-tab');
-    const contents = modal.querySelectorAll('.tab-content');
+  // Galeriebilder mit Beschriftung "Stadium 2 · Bildunterschrift" für Tab und Lightbox
+  galleryItems(project) {
+    return project.gallery.map((image, index) => {
+      const caption = ProjectMedia.caption(image);
+      const stage = this.i18n.t('modal.stage', { number: index + 1 });
+      return { image, label: caption ? `${stage} · ${caption}` : stage };
+    });
+  }
 
-    tabs.forEach(tab => {
-      tab.addEventListener('click', () => {
-        const targetTab = tab.getAttribute('data-tab');
-        
-        // Remove active classes
-        tabs.forEach(t => t.classList.remove('active'));
-        contents.forEach(c => c.classList.remove('active'));
-        
-        // Add active classes
-        tab.classList.add('active');
-        modal.querySelector(`#${targetTab}`).classList.add('active');
-      });
+  // Summe aller Materialpreise als Money (ohne vorhandene/kostenlose Materialien)
+  calculateMaterialCost(project) {
+    return Money.ofMaterials(project.materials);
+  }
+
+  activateTab(tabs, tabName) {
+    // Ohne onSelect: der Hash stimmt schon, wenn der Router den Tab vorgibt
+    tabs.update(tabs.find(tab => tab.dataset.tab === tabName) || tabs.selected);
+  }
+
+  // Tabs nach dem WAI-ARIA-Muster (js/tabs.js) und Buttons im Modal; liefert die Tabs
+  initStepNavigation(modal, project) {
+    const tabs = new Tabs(modal.querySelector('.modal-tabs'), {
+      // Tab im Hash festhalten, damit der Link genau hierher führt
+      onSelect: tab => this.router.replace(project.id, tab.dataset.tab === 'overview' ? null : tab.dataset.tab)
     });
 
     // Footer button handlers
-    modal.querySelector('.bookmark-btn').addEventListener('click', () => {
+    const bookmarkBtn = modal.querySelector('.bookmark-btn');
+    this.updateBookmarkButton(bookmarkBtn, this.bookmarks.has(project.id));
+    bookmarkBtn.addEventListener('click', () => {
       this.bookmarkProject(project);
     });
 
@@ -1164,49 +1020,233 @@ class PortfolioManager {
     modal.querySelector('.start-project-btn').addEventListener('click', () => {
       this.startProject(project);
     });
+
+    this.initOfflineVideos(modal, project);
+
+    const galleryItems = this.galleryItems(project);
+    modal.querySelector('.gallery-grid').addEventListener('click', (e) => {
+      const item = e.target.closest('.gallery-item');
+      if (!item) return;
+
+      this.lightbox.open(galleryItems, parseInt(item.dataset.stage, 10));
+    });
+
+    const quantityInput = modal.querySelector('.quantity-input');
+    quantityInput.addEventListener('input', () => {
+      if (quantityInput.value === '') return;
+      this.updateMaterialQuantity(modal, project, MaterialScaler.clampCount(quantityInput.value));
+    });
+    quantityInput.addEventListener('change', () => {
+      quantityInput.value = MaterialScaler.clampCount(quantityInput.value);
+    });
+
+    modal.querySelector('.unit-toggle').addEventListener('click', (e) => {
+      const option = e.target.closest('[data-unit-system]');
+      if (!option) return;
+
+      this.units.setSystem(option.dataset.unitSystem);
+      this.updateMeasurements(modal, project);
+    });
+
+    const printMenu = modal.querySelector('.print-menu');
+    printMenu.addEventListener('click', (e) => {
+      const option = e.target.closest('[data-print]');
+      if (!option) return;
+
+      printMenu.open = false;
+      if (option.dataset.print === 'sheet') {
+        this.printSheet.print(project);
+      } else {
+        this.printSheet.downloadPdf(project);
+        this.showNotification(this.i18n.t('notify.pdfSaved'));
+      }
+    });
+
+    return tabs;
   }
 
-  bookmarkProject(project) {
-    // Lokale Speicherung der gemerkten Projekte
-    const bookmarks = JSON.parse(localStorage.getItem('diy-bookmarks') || '[]');
-    if (!bookmarks.includes(project.id)) {
-      bookmarks.push(project.id);
-      localStorage.setItem('diy-bookmarks', JSON.stringify(bookmarks));
-      
-      // Feedback anzeigen
-      this.showNotification('Projekt gespeichert! 🔖');
+  // "Videos offline speichern" nur mit Videos und aktivem Service Worker
+  async initOfflineVideos(modal, project) {
+    const button = modal.querySelector('.videos-offline-btn');
+    if (!StepVideos.hasVideos(project) || !this.stepVideos.canSaveOffline) return;
+
+    const markSaved = () => {
+      button.textContent = this.i18n.t('modal.videosSaved');
+      button.disabled = true;
+    };
+
+    button.hidden = false;
+    button.addEventListener('click', async () => {
+      button.disabled = true;
+      try {
+        const { failed } = await this.stepVideos.saveOffline(project.steps);
+        if (failed > 0) throw new Error(`${failed} Dateien fehlgeschlagen`);
+        markSaved();
+        this.showNotification(this.i18n.t('notify.videosSaved'));
+      } catch (error) {
+        console.error('Videos konnten nicht offline gespeichert werden:', error);
+        button.disabled = false;
+        this.showNotification(this.i18n.t('notify.videosFailed'));
+      }
+    });
+
+    if (await this.stepVideos.isSavedOffline(project.steps).catch(() => false)) {
+      markSaved();
+    }
+  }
+
+  // Mengen und Kosten im Materialien-Tab für `count` Stück anzeigen
+  updateMaterialQuantity(modal, project, count) {
+    const { items, total } = MaterialScaler.scale(project, count, this.i18n.locale);
+
+    modal.querySelectorAll('.material-item').forEach((row, index) => {
+      const { material, amount, price, scaled } = items[index];
+      row.querySelector('.material-amount').textContent = this.units.format(amount, this.i18n.locale);
+      row.querySelector('.material-fixed').hidden = count === 1 || scaled;
+      row.querySelector('.material-price').innerHTML = material.owned || material.free
+        ? this.currency.materialHtml(material)
+        : this.currency.html(price);
+    });
+
+    modal.querySelector('.quantity-unit').textContent = this.i18n.t('modal.quantityUnit', { count });
+    modal.querySelector('.materials-total strong').innerHTML = this.i18n.t('modal.total', { cost: this.currency.html(total) });
+  }
+
+  // Maße in Materialien und Schritten nach einem Wechsel metrisch/imperial
+  updateMeasurements(modal, project) {
+    const measure = text => this.units.format(text, this.i18n.locale);
+
+    modal.querySelectorAll('.unit-option').forEach(option => {
+      option.setAttribute('aria-pressed', option.dataset.unitSystem === this.units.system);
+    });
+
+    const count = MaterialScaler.clampCount(modal.querySelector('.quantity-input').value);
+    this.updateMaterialQuantity(modal, project, count);
+
+    modal.querySelectorAll('.step-item').forEach((item, index) => {
+      const step = project.steps[index];
+      item.querySelector('.step-description').textContent = measure(step.description);
+      item.querySelector('.tip-text').textContent = measure(step.tips);
+    });
+  }
+
+  async bookmarkProject(project) {
+    // Merken bzw. wieder entfernen (Buttons aktualisieren sich über subscribe)
+    let saved;
+    try {
+      saved = await this.bookmarks.toggle(project.id);
+    } catch (error) {
+      // Speicher voll meldet bereits onQuotaExceeded
+      console.error('Merkliste konnte nicht gespeichert werden:', error);
+      if (!VersionedStorage.isQuotaError(error)) {
+        this.showNotification(this.i18n.t('notify.bookmarkFailed'));
+      }
+      return;
     }
+
+    // Feedback anzeigen
+    this.showNotification(this.i18n.t(saved ? 'notify.bookmarkAdded' : 'notify.bookmarkRemoved'));
   }
 
-  shareProject(project) {
-    // Web Share API oder Fallback
+  updateBookmarkButton(button, saved) {
+    button.setAttribute('aria-pressed', saved ? 'true' : 'false');
+    button.classList.toggle('is-saved', saved);
+    button.querySelector('.bookmark-label').textContent = this.i18n.t(saved ? 'bookmark.saved' : 'bookmark.add');
+  }
+
+  // "Gemerkt"-Filter an die Kategorie-Buttons anhängen
+  initBookmarkFilter() {
+    const filterBar = document.querySelector('.portfolio-filter');
+    if (!filterBar) return;
+
+    const button = document.createElement('button');
+    button.className = 'filter-btn';
+    button.setAttribute('data-filter', 'bookmarked');
+    button.setAttribute('role', 'tab');
+    button.setAttribute('aria-selected', 'false');
+    button.setAttribute('aria-controls', 'portfolio-grid');
+    button.innerHTML = `
+      <span>🔖</span>
+      <span>${this.i18n.t('filter.bookmarked')}</span>
+      <span class="bookmark-count"></span>
+    `;
+    filterBar.appendChild(button);
+    this.updateBookmarkCount();
+  }
+
+  updateBookmarkCount() {
+    const count = document.querySelector('.filter-btn[data-filter="bookmarked"] .bookmark-count');
+    if (!count) return;
+
+    const total = this.bookmarks.load().filter(id => this.portfolioData.some(item => item.id === id)).length;
+    count.textContent = total > 0 ? `(${total})` : '';
+  }
+
+  handleBookmarksChanged() {
+    const ids = this.bookmarks.load();
+
+    document.querySelectorAll('[data-bookmark-id]').forEach(button => {
+      this.updateBookmarkButton(button, ids.includes(parseInt(button.dataset.bookmarkId, 10)));
+    });
+    this.updateBookmarkCount();
+    this.shoppingListView.render();
+
+    if (this.currentFilter === 'bookmarked') {
+      this.renderPortfolio();
+    }
+  }
+
+  async shareProject(project) {
+    const url = ProjectRouter.buildUrl(project.id);
+
+    // Web Share API; ohne sie oder wenn sie scheitert, Link kopieren
     if (navigator.share) {
-      navigator.share({
-        title: project.title,
-        text: project.description,
-        url: window.location.href + '#project-' + project.id
-      });
-    } else {
-      // Fallback: Copy to clipboard
-      navigator.clipboard.writeText(window.location.href + '#project-' + project.id);
-      this.showNotification('Link kopiert! 📤');
+      try {
+        await navigator.share({
+          title: project.title,
+          text: project.description,
+          url
+        });
+        return;
+      } catch (error) {
+        // Schließen des Teilen-Dialogs ist kein Fehler
+        if (error.name === 'AbortError') return;
+        console.warn('Teilen fehlgeschlagen, Link wird kopiert:', error);
+      }
+    }
+
+    try {
+      await navigator.clipboard.writeText(url);
+      this.showNotification(this.i18n.t('notify.linkCopied'));
+    } catch (error) {
+      console.error('Link konnte nicht kopiert werden:', error);
+      this.showNotification(this.i18n.t('notify.copyFailed'));
     }
   }
 
-  startProject(project) {
-    // Projekt in "Meine Projekte" hinzufügen
-    const myProjects = JSON.parse(localStorage.getItem('my-projects') || '[]');
-    const projectData = {
-      ...project,
-      startedAt: new Date().toISOString(),
-      progress: 0,
-      currentStep: 0
-    };
-    
-    myProjects.push(projectData);
-    localStorage.setItem('my-projects', JSON.stringify(myProjects));
-    
-    this.showNotification('Projekt gestartet! 🚀 Viel Spaß beim Basteln!');
+  async startProject(project) {
+    // Projekt in "Meine Projekte" hinzufügen (nur einmal pro Projekt)
+    let created;
+    let entry;
+    try {
+      ({ created, entry } = await this.myProjects.start(project));
+    } catch (error) {
+      console.error('Projekt konnte nicht gespeichert werden:', error);
+      if (!VersionedStorage.isQuotaError(error)) {
+        this.showNotification(this.i18n.t('notify.startFailed'));
+      }
+      return;
+    }
+    this.myProjectsView.render();
+
+    if (created) {
+      this.showNotification(this.i18n.t('notify.started'));
+    } else {
+      this.showNotification(this.i18n.t('notify.alreadyStarted', { step: entry.currentStep + 1 }));
+    }
+
+    // Geführter Modus, beim erneuten Starten am gespeicherten Schritt
+    this.stepPlayer.open(project, entry.currentStep);
   }
 
   showNotification(message) {
@@ -1228,44 +1268,314 @@ class PortfolioManager {
     }, 3000);
   }
 
+  // Karten per Pfeiltasten durchgehen, Enter öffnet die Anleitung
+  initCardNavigation() {
+    const grid = document.querySelector('.portfolio-grid');
+    if (!grid) return;
+
+    this.cardGrid = new RovingGrid(grid, {
+      itemSelector: '.portfolio-item',
+      onActivate: card => card.querySelector('.view-project-btn').click()
+    });
+  }
+
+  // Kategorie-Buttons als Tabs (Pfeiltasten, Pos1/Ende); das Raster ist das gemeinsame Panel
   initFilters() {
-    const filterButtons = document.querySelectorAll('.filter-btn');
-    
-    filterButtons.forEach(button => {
-      button.addEventListener('click', () => {
-        const filter = button.getAttribute('data-filter');
-        this.setFilter(filter);
-        
-        // Update active button
-        filterButtons.forEach(btn => {
-          btn.classList.remove('active');
-          btn.setAttribute('aria-selected', 'false');
-        });
-        button.classList.add('active');
-        button.setAttribute('aria-selected', 'true');
-      });
+    const filterBar = document.querySelector('.portfolio-filter');
+    if (!filterBar) return;
+
+    this.filterTabs = new Tabs(filterBar, {
+      panels: false,
+      onSelect: tab => this.setFilter(tab.getAttribute('data-filter'))
     });
+
+    // Aus der URL übernommene Kategorie anzeigen
+    this.updateFilterButtons();
+  }
+
+  updateFilterButtons() {
+    if (!this.filterTabs) return;
+
+    const active = this.filterTabs.find(tab => tab.getAttribute('data-filter') === this.currentFilter);
+    this.filterTabs.update(active || this.filterTabs.tabs[0]);
   }
 
   setFilter(filter) {
     this.currentFilter = filter;
+    this.updateFilterButtons();
+    this.renderPortfolio();
+  }
+
+  // Zustand aus der URL übernehmen (?category=seasonal&difficulty=1&sort=rating)
+  applyQueryState() {
+    const state = QueryState.read();
+    const categories = [...document.querySelectorAll('.filter-btn')].map(btn => btn.getAttribute('data-filter'));
+
+    if (state.category && categories.includes(state.category)) {
+      this.currentFilter = state.category;
+    }
+
+    this.searchQuery = state.q.trim();
+
+    // Sortierung aus Links nicht als eigene Vorliebe speichern
+    if (state.sort) {
+      this.sorter.setSort(state.sort, { persist: false });
+    }
+
+    this.facets.definitions.forEach(definition => {
+      state[definition.key].forEach(value => this.facets.select(definition.key, value));
+    });
+  }
+
+  syncQueryState() {
+    const state = {
+      category: this.currentFilter === 'all' ? null : this.currentFilter,
+      q: this.searchQuery,
+      sort: this.sorter.current === 'default' ? null : this.sorter.current
+    };
+
+    this.facets.definitions.forEach(definition => {
+      state[definition.key] = [...this.facets.selection[definition.key]];
+    });
+
+    QueryState.update(state);
+  }
+
+  initSearch() {
+    const filterBar = document.querySelector('.portfolio-filter');
+    if (!filterBar) return;
+
+    // Suchfeld über den Kategorie-Buttons einfügen
+    const searchBox = document.createElement('div');
+    searchBox.className = 'portfolio-search';
+    searchBox.setAttribute('role', 'search');
+    searchBox.innerHTML = `
+      <label for="portfolio-search-input" class="sr-only">${this.i18n.t('search.label')}</label>
+      <span class="search-icon" aria-hidden="true">🔍</span>
+      <input type="search" id="portfolio-search-input" class="search-input"
+             placeholder="${this.i18n.t('search.placeholder')}" autocomplete="off"
+             aria-controls="portfolio-grid">
+    `;
+    filterBar.parentNode.insertBefore(searchBox, filterBar);
+
+    const input = searchBox.querySelector('.search-input');
+    input.value = this.searchQuery;
+    let searchTimeout;
+
+    input.addEventListener('input', () => {
+      clearTimeout(searchTimeout);
+      searchTimeout = setTimeout(() => {
+        this.setSearch(input.value);
+      }, 200);
+    });
+  }
+
+  setSearch(query) {
+    this.searchQuery = query.trim();
     this.renderPortfolio();
   }
 
+  initSort() {
+    const filterBar = document.querySelector('.portfolio-filter');
+    if (!filterBar) return;
+
+    const sortControl = document.createElement('div');
+    sortControl.className = 'portfolio-sort';
+    sortControl.innerHTML = `
+      <label for="portfolio-sort-select">${this.i18n.t('sort.label')}</label>
+      <select id="portfolio-sort-select" class="sort-select" aria-controls="portfolio-grid">
+        ${this.sorter.options.map(option => `
+          <option value="${option.key}" ${option.key === this.sorter.current ? 'selected' : ''}>${this.i18n.t(`sort.${option.key}`)}</option>
+        `).join('')}
+      </select>
+    `;
+    filterBar.parentNode.insertBefore(sortControl, filterBar.nextSibling);
+
+    sortControl.querySelector('.sort-select').addEventListener('change', (e) => {
+      this.setSort(e.target.value);
+    });
+  }
+
+  setSort(key) {
+    this.sorter.setSort(key);
+    this.renderPortfolio();
+  }
+
+  // Währungsauswahl neben der Sortierung; Kurse aus data/exchange-rates.json
+  initCurrency() {
+    const sortControl = document.querySelector('.portfolio-sort');
+    if (!sortControl || this.currency.currencies.length < 2) return;
+
+    const currencyControl = document.createElement('div');
+    currencyControl.className = 'portfolio-currency';
+    currencyControl.innerHTML = `
+      <label for="portfolio-currency-select">${this.i18n.t('currency.label')}</label>
+      <select id="portfolio-currency-select" class="sort-select">
+        ${this.currency.currencies.map(code => `
+          <option value="${code}" ${code === this.currency.current ? 'selected' : ''}>${this.currency.label(code)}</option>
+        `).join('')}
+      </select>
+    `;
+    sortControl.appendChild(currencyControl);
+
+    currencyControl.querySelector('select').addEventListener('change', (e) => {
+      this.setCurrency(e.target.value);
+    });
+  }
+
+  // Sprachwahl in der Navigation; alle Ansichten bauen ihre Texte beim
+  // Start auf, deshalb wird die Seite nach dem Wechsel neu geladen
+  initLanguageSwitcher() {
+    const nav = document.querySelector('header nav');
+    if (!nav) return;
+
+    const switcher = document.createElement('div');
+    switcher.className = 'language-switcher';
+    switcher.setAttribute('role', 'group');
+    switcher.setAttribute('aria-label', this.i18n.t('language.label'));
+    switcher.innerHTML = this.i18n.languages.map(language => `
+      <button type="button" class="language-option" data-language="${language}" lang="${language}"
+              aria-pressed="${language === this.i18n.language}" title="${I18N_LANGUAGES[language].label}">
+        ${language.toUpperCase()}
+      </button>
+    `).join('');
+    nav.appendChild(switcher);
+
+    switcher.addEventListener('click', (e) => {
+      const option = e.target.closest('[data-language]');
+      if (option && this.i18n.setLanguage(option.dataset.language)) {
+        // ?lang= aus einem Link hätte sonst Vorrang vor der neuen Wahl
+        QueryState.update({ lang: null });
+        window.location.reload();
+      }
+    });
+  }
+
+  // Eigene Wahl für Animationen; startet mit der Systemeinstellung
+  initMotionToggle() {
+    const nav = document.querySelector('header nav');
+    if (!nav) return;
+
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'motion-toggle';
+    button.title = this.i18n.t('motion.reduce');
+    button.innerHTML = `
+      <span aria-hidden="true">🐢</span>
+      <span class="sr-only">${this.i18n.t('motion.reduce')}</span>
+    `;
+    nav.appendChild(button);
+
+    const update = reduced => button.setAttribute('aria-pressed', reduced ? 'true' : 'false');
+    update(this.motion.reduced);
+    this.motion.subscribe(update);
+
+    button.addEventListener('click', () => {
+      this.motion.setReduced(!this.motion.reduced);
+    });
+  }
+
+  setCurrency(code) {
+    this.currency.setCurrency(code);
+    this.currency.refresh();
+    this.shoppingListView.renderList();
+  }
+
+  initFacets() {
+    const filterBar = document.querySelector('.portfolio-filter');
+    if (!filterBar) return;
+
+    // Aufklappbares Panel unter den Kategorie-Buttons
+    const panel = document.createElement('details');
+    panel.className = 'portfolio-facets';
+    panel.innerHTML = `
+      <summary>
+        <span>${this.i18n.t('facets.title')}</span>
+        <span class="facet-active-count"></span>
+      </summary>
+      <div class="facet-groups">
+        ${this.facets.definitions.map(definition => `
+          <fieldset class="facet-group facet-${definition.key}">
+            <legend>${this.i18n.t(`facets.${definition.key}`)}</legend>
+            <div class="facet-options">
+              ${definition.options.map(option => `
+                <button type="button" class="facet-option" aria-pressed="false"
+                        data-facet="${definition.key}" data-value="${ProjectSearch.escapeHtml(option.value)}">
+                  <span class="facet-label">${this.facetOptionHtml(definition, option)}</span>
+                  <span class="facet-count">0</span>
+                </button>
+              `).join('')}
+            </div>
+          </fieldset>
+        `).join('')}
+      </div>
+      <button type="button" class="facet-reset">${this.i18n.t('facets.reset')}</button>
+    `;
+    filterBar.parentNode.insertBefore(panel, filterBar.nextSibling);
+
+    panel.querySelectorAll('.facet-option').forEach(option => {
+      option.addEventListener('click', () => {
+        this.facets.toggle(option.dataset.facet, option.dataset.value);
+        this.renderPortfolio();
+      });
+    });
+
+    panel.querySelector('.facet-reset').addEventListener('click', () => {
+      this.facets.clear();
+      this.renderPortfolio();
+    });
+
+    this.facetPanel = panel;
+  }
+
+  // Tags kommen schon übersetzt aus den Projektdaten; Kostengrenzen in der
+  // gewählten Währung, damit currency.refresh() sie mit umstellt
+  facetOptionHtml(definition, option) {
+    if (definition.key === 'tags') return ProjectSearch.escapeHtml(option.value);
+
+    const bounds = {};
+    if (option.min) bounds.min = this.currency.html(option.min);
+    if (option.max) bounds.max = this.currency.html(option.max);
+    return this.i18n.t(`facets.${definition.key}.${option.value}`, bounds);
+  }
+
+  // Trefferzahlen und Auswahlzustand der Facetten-Buttons aktualisieren
+  updateFacetCounts(projects) {
+    if (!this.facetPanel) return;
+
+    const counts = this.facets.counts(projects);
+
+    this.facetPanel.querySelectorAll('.facet-option').forEach(option => {
+      const { facet, value } = option.dataset;
+      const count = counts[facet].get(value) || 0;
+      const selected = this.facets.selection[facet].has(value);
+
+      option.querySelector('.facet-count').textContent = count;
+      option.setAttribute('aria-pressed', selected);
+      option.classList.toggle('active', selected);
+      option.disabled = count === 0 && !selected;
+    });
+
+    const activeCount = this.facets.activeCount();
+    this.facetPanel.querySelector('.facet-active-count').textContent = activeCount > 0 ? this.i18n.t('facets.active', { count: activeCount }) : '';
+    this.facetPanel.querySelector('.facet-reset').hidden = activeCount === 0;
+  }
+
   triggerItemAnimations() {
-    // Trigger animation for portfolio items
+    // Trigger animation for portfolio items (ohne Staffelung bei reduzierter Bewegung)
     const items = document.querySelectorAll('.portfolio-item');
     items.forEach((item, index) => {
       setTimeout(() => {
         item.classList.add('animate-in');
-      }, index * 100);
+      }, this.motion.stagger(index, 100));
     });
   }
 }
 
 // Stats Counter
 class StatsCounter {
-  constructor() {
+  constructor({ motion }) {
+    this.motion = motion;
     this.init();
   }
 
@@ -1292,14 +1602,21 @@ class StatsCounter {
   }
 
   animateCounter(element) {
-    const target = parseInt(element.getAttribute('data-target'));
+    const target = parseInt(element.getAttribute('data-count'), 10);
+
+    // Bei reduzierter Bewegung (auch wenn mittendrin umgestellt) gleich den Endwert zeigen
+    if (this.motion.reduced) {
+      element.textContent = target;
+      return;
+    }
+
     const duration = 2000;
     const increment = target / (duration / 16);
     let current = 0;
 
     const updateCounter = () => {
       current += increment;
-      if (current < target) {
+      if (current < target && !this.motion.reduced) {
         element.textContent = Math.floor(current);
         requestAnimationFrame(updateCounter);
       } else {
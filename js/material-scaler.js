@@ -0,0 +1,82 @@
+// ==========================================================================
+// Mengenrechner: Materialmengen und Kosten für mehrere Stück
+// ==========================================================================
+//
+// Mengen sind Freitext ("200m", "1 Stück (80cm)", "2,5 l"). Sie werden in
+// Zahl, Einheit und Zusatz zerlegt; skaliert wird nur die Zahl, der Zusatz
+// in Klammern bleibt. Nicht skaliert werden Mengen ohne Zahl, Materialien
+// mit `scalable: false` (z.B. Software-Lizenzen) und Materialien, die auch
+// als Werkzeug geführt sind (eine Schere reicht für alle Stücke) – außer
+// sie sind ausdrücklich als `scalable: true` markiert (Schleifpapier).
+
+const MATERIAL_SCALER_MAX = 20;
+
+// Einheiten, die im Plural anders heißen (Singular → Plural)
+const MATERIAL_UNIT_PLURALS = {
+  Dose: 'Dosen', Flasche: 'Flaschen', Rolle: 'Rollen', Tüte: 'Tüten', Packung: 'Packungen',
+  Monat: 'Monate', Set: 'Sets',
+  piece: 'pieces', set: 'sets', tin: 'tins', bottle: 'bottles', roll: 'rolls',
+  sheet: 'sheets', bunch: 'bunches', stick: 'sticks', month: 'months', bag: 'bags'
+};
+
+class MaterialScaler {
+  // "1 Stück (80cm)" → { value: 1, space: ' ', unit: 'Stück', detail: ' (80cm)' }
+  static parse(text) {
+    const match = /^\s*(\d+(?:[.,]\d+)?)(\s*)([^\d\s(][^(]*?)?(\s*\(.*\))?\s*$/.exec(String(text || ''));
+    if (!match) return null;
+
+    return {
+      value: parseFloat(match[1].replace(',', '.')),
+      space: match[2],
+      unit: match[3] || '',
+      detail: match[4] || ''
+    };
+  }
+
+  static isScalable(material, project) {
+    if (typeof material.scalable === 'boolean') return material.scalable;
+
+    const name = ProjectSearch.normalize(material.name).trim();
+    const isTool = project.tools.some(tool => ProjectSearch.normalize(tool).trim() === name);
+    return !isTool && MaterialScaler.parse(material.amount) !== null;
+  }
+
+  // Menge als Text für `count` Stück, z.B. ("200m", 3) → "600m"
+  static scaleAmount(text, count, locale = 'de-DE') {
+    const quantity = MaterialScaler.parse(text);
+    if (!quantity || count === 1) return text;
+
+    const value = quantity.value * count;
+    const unit = value > 1 && quantity.value <= 1 ? MaterialScaler.pluralUnit(quantity.unit) : quantity.unit;
+    const number = new Intl.NumberFormat(locale, { maximumFractionDigits: 2 }).format(value);
+
+    return `${number}${quantity.space}${unit}${quantity.detail}`;
+  }
+
+  static pluralUnit(unit) {
+    return MATERIAL_UNIT_PLURALS[unit.trim()] || unit;
+  }
+
+  // [{ material, amount, price, scaled }] und Gesamtkosten für `count` Stück
+  static scale(project, count, locale) {
+    const items = project.materials.map(material => {
+      const scaled = count > 1 && MaterialScaler.isScalable(material, project);
+      const price = Money.ofMaterial(material);
+
+      return {
+        material,
+        scaled,
+        amount: scaled ? MaterialScaler.scaleAmount(material.amount, count, locale) : material.amount,
+        price: scaled ? price.multiply(count) : price
+      };
+    });
+
+    return { items, total: Money.sum(items.map(item => item.price)) };
+  }
+
+  static clampCount(value) {
+    const count = parseInt(value, 10);
+    if (Number.isNaN(count)) return 1;
+    return Math.min(Math.max(count, 1), MATERIAL_SCALER_MAX);
+  }
+}
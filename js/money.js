@@ -0,0 +1,151 @@
+// ==========================================================================
+// Geldbeträge: ganze Cent plus Währung
+// ==========================================================================
+//
+// Preise werden als { amount: 1599, currency: "EUR" } gespeichert (amount in
+// der kleinsten Einheit der Währung), damit Summen nicht durch Gleitkomma-
+// Rundung verfälscht werden. Eingelesen wird nach Intl.NumberFormat('de-DE')
+// ("1.234,56 €"), angezeigt in der Sprache der Seite (useI18n).
+//
+// Materialien können als `owned` (schon vorhanden) oder `free` (kostenlos,
+// z.B. Fundstücke) markiert sein; sie zählen nicht zu den Kosten.
+
+const MONEY_LOCALE = 'de-DE';
+const MONEY_DEFAULT_CURRENCY = 'EUR';
+
+let moneyI18n = null;
+
+class Money {
+  // Sprache für format() und formatMaterial() (js/i18n.js)
+  static useI18n(i18n) {
+    moneyI18n = i18n;
+  }
+
+  static get locale() {
+    return moneyI18n?.locale || MONEY_LOCALE;
+  }
+
+  constructor(amount, currency = MONEY_DEFAULT_CURRENCY) {
+    if (!Number.isInteger(amount)) {
+      throw new TypeError(`Betrag muss eine ganze Zahl (Cent) sein, nicht ${amount}`);
+    }
+
+    this.amount = amount;
+    this.currency = currency;
+    Object.freeze(this);
+  }
+
+  static zero(currency = MONEY_DEFAULT_CURRENCY) {
+    return new Money(0, currency);
+  }
+
+  // Gespeicherte Form { amount, currency } (data/projects.json)
+  static from(value) {
+    if (value instanceof Money) return value;
+    return new Money(value.amount, value.currency);
+  }
+
+  // Etsy API v3: { amount: 899, divisor: 100, currency_code: "EUR" }
+  static fromEtsy(price) {
+    const digits = Money.fractionDigits(price.currency_code);
+    return new Money(Math.round((price.amount / price.divisor) * 10 ** digits), price.currency_code);
+  }
+
+  // "€1.234,56", "1.234,56 €", "12,5", "€0,00 (vorhanden)" → Money, sonst null
+  static parse(text, currency = MONEY_DEFAULT_CURRENCY) {
+    const { group, decimal } = Money.separators();
+    const match = /-?\d[\d\s.,']*/.exec(String(text));
+    if (!match) return null;
+
+    const cleaned = match[0]
+      .replace(/[\s']/g, '')
+      .split(group).join('')
+      .replace(/[.,]$/, '');
+    const [integer, fraction = ''] = cleaned.split(decimal);
+    if (!/^-?\d+$/.test(integer) || !/^\d*$/.test(fraction)) return null;
+
+    const digits = Money.fractionDigits(currency);
+    const sign = integer.startsWith('-') ? -1 : 1;
+    const minor = fraction.padEnd(digits, '0').slice(0, digits) || '0';
+
+    return new Money(sign * (Math.abs(parseInt(integer, 10)) * 10 ** digits + parseInt(minor, 10)), currency);
+  }
+
+  // Tausender- und Dezimaltrennzeichen der Anzeigesprache ("." und ",")
+  static separators() {
+    if (!Money.cachedSeparators) {
+      const parts = new Intl.NumberFormat(MONEY_LOCALE).formatToParts(1234.5);
+      Money.cachedSeparators = {
+        group: parts.find(part => part.type === 'group')?.value || '.',
+        decimal: parts.find(part => part.type === 'decimal')?.value || ','
+      };
+    }
+    return Money.cachedSeparators;
+  }
+
+  // Nachkommastellen der Währung (EUR: 2, JPY: 0)
+  static fractionDigits(currency) {
+    return new Intl.NumberFormat(MONEY_LOCALE, { style: 'currency', currency })
+      .resolvedOptions().maximumFractionDigits;
+  }
+
+  static sum(values, currency = MONEY_DEFAULT_CURRENCY) {
+    return values.reduce((total, value) => total.add(Money.from(value)), Money.zero(currency));
+  }
+
+  add(other) {
+    if (other.currency !== this.currency) {
+      throw new Error(`Unterschiedliche Währungen: ${this.currency} und ${other.currency}`);
+    }
+    return new Money(this.amount + other.amount, this.currency);
+  }
+
+  // Für Mengen: 3 × 15,99 € (auf ganze Cent gerundet)
+  multiply(factor) {
+    return new Money(Math.round(this.amount * factor), this.currency);
+  }
+
+  isZero() {
+    return this.amount === 0;
+  }
+
+  // Betrag in der Haupteinheit (Euro), z.B. für Vergleiche in Filtern
+  toNumber() {
+    return this.amount / 10 ** Money.fractionDigits(this.currency);
+  }
+
+  format() {
+    return new Intl.NumberFormat(Money.locale, { style: 'currency', currency: this.currency })
+      .format(this.toNumber());
+  }
+
+  toString() {
+    return this.format();
+  }
+
+  toJSON() {
+    return { amount: this.amount, currency: this.currency };
+  }
+
+  // Preis eines Materials; vorhandene und kostenlose Materialien kosten nichts
+  static ofMaterial(material) {
+    const price = Money.from(material.price);
+    return material.owned || material.free ? Money.zero(price.currency) : price;
+  }
+
+  static formatMaterial(material) {
+    if (material.owned) return moneyI18n?.t('money.owned') ?? 'vorhanden';
+    if (material.free) return moneyI18n?.t('money.free') ?? 'kostenlos';
+    return Money.from(material.price).format();
+  }
+
+  // Summe der Materialkosten eines Projekts
+  static ofMaterials(materials, currency = MONEY_DEFAULT_CURRENCY) {
+    return Money.sum(materials.map(material => Money.ofMaterial(material)), currency);
+  }
+}
+
+// Export für Node (test/money.test.js)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { Money };
+}
@@ -0,0 +1,87 @@
+// ==========================================================================
+// Bewegung: "Bewegung reduzieren" aus dem System oder eigene Wahl
+// ==========================================================================
+//
+// Einstellung "system" folgt prefers-reduced-motion (und schwachen
+// Mobilgeräten, siehe setLowPowerDevice), "reduce" und "full" überschreiben
+// es und werden im Speicher gemerkt. Änderungen im System oder in einem
+// anderen Tab kommen sofort an (subscribe). <html> trägt dann
+// "reduced-motion" für die CSS; gestaffelte Einblendungen und Zähler fragen
+// `reduced` bzw. stagger() ab.
+
+const MOTION_STORAGE_KEY = 'motion';
+const MOTION_SETTINGS = ['system', 'reduce', 'full'];
+
+class MotionPreference {
+  constructor({ storage = null } = {}) {
+    this.storage = storage;
+    this.setting = MotionPreference.validSetting(storage?.get(MOTION_STORAGE_KEY));
+    this.query = window.matchMedia?.('(prefers-reduced-motion: reduce)') || null;
+    this.lowPower = false;
+    this.listeners = new Set();
+
+    this.query?.addEventListener('change', () => this.notify());
+    storage?.subscribe(MOTION_STORAGE_KEY, value => {
+      this.setting = MotionPreference.validSetting(value);
+      this.notify();
+    });
+
+    this.apply();
+  }
+
+  get systemReduced() {
+    return Boolean(this.query?.matches) || this.lowPower;
+  }
+
+  get reduced() {
+    if (this.setting === 'system') return this.systemReduced;
+    return this.setting === 'reduce';
+  }
+
+  // Für scrollIntoView/scrollTo
+  get scrollBehavior() {
+    return this.reduced ? 'auto' : 'smooth';
+  }
+
+  // Eigene Wahl; entspricht sie dem System, wird wieder "system" gespeichert
+  setReduced(reduced) {
+    const setting = reduced === this.systemReduced ? 'system' : (reduced ? 'reduce' : 'full');
+    if (setting === this.setting) return;
+
+    this.setting = setting;
+    this.storage?.set(MOTION_STORAGE_KEY, setting);
+    this.notify();
+  }
+
+  // Schwaches Gerät (wenige Kerne): zählt wie "Bewegung reduzieren" im System
+  setLowPowerDevice(lowPower) {
+    if (lowPower === this.lowPower) return;
+
+    this.lowPower = lowPower;
+    this.notify();
+  }
+
+  // Verzögerung für das index-te Element einer Staffel (ms); 0 bei reduzierter Bewegung
+  stagger(index, step) {
+    return this.reduced ? 0 : index * step;
+  }
+
+  // listener(reduced) bei jeder Änderung; liefert eine Funktion zum Abmelden
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify() {
+    this.apply();
+    this.listeners.forEach(listener => listener(this.reduced));
+  }
+
+  apply() {
+    document.documentElement.classList.toggle('reduced-motion', this.reduced);
+  }
+
+  static validSetting(value) {
+    return MOTION_SETTINGS.includes(value) ? value : 'system';
+  }
+}
@@ -0,0 +1,351 @@
+// ==========================================================================
+// Meine Projekte: gestartete Projekte mit Schritt-für-Schritt-Fortschritt
+// ==========================================================================
+//
+// startProject() legt schlanke Einträge im Repository ab
+// (js/user-data-repository.js). Hier werden Schritte abgehakt, Notizen
+// gesichert und der Fortschritt anhand der Schrittzeiten berechnet.
+
+class MyProjectsStore {
+  constructor(repository) {
+    this.repository = repository;
+  }
+
+  load() {
+    return this.repository.getStartedProjects();
+  }
+
+  get(projectId) {
+    return this.repository.getStartedProject(projectId);
+  }
+
+  // Liefert { entry, created } – bereits gestartete Projekte werden nicht dupliziert
+  async start(project) {
+    const existing = await this.get(project.id);
+    if (existing) {
+      return { entry: existing, created: false };
+    }
+
+    const entry = UserDataRepository.toProjectRecord(project);
+    await this.repository.saveStartedProject(entry);
+    return { entry, created: true };
+  }
+
+  toggleStep(projectId, stepIndex, steps) {
+    return this.update(projectId, entry => {
+      const completed = new Set(entry.completedSteps);
+      if (completed.has(stepIndex)) {
+        completed.delete(stepIndex);
+      } else {
+        completed.add(stepIndex);
+      }
+      entry.completedSteps = [...completed].sort((a, b) => a - b);
+    }, steps);
+  }
+
+  complete(projectId, steps) {
+    return this.update(projectId, entry => {
+      entry.completedSteps = steps.map((_, index) => index);
+    }, steps);
+  }
+
+  // Vom geführten Modus (js/step-player.js): dort weitermachen, wo man war
+  async setCurrentStep(projectId, stepIndex) {
+    const entry = await this.get(projectId);
+    if (!entry || entry.currentStep === stepIndex) return entry;
+
+    entry.currentStep = stepIndex;
+    await this.repository.saveStartedProject(entry);
+    return entry;
+  }
+
+  remove(projectId) {
+    return this.repository.deleteStartedProject(projectId);
+  }
+
+  // Notizen als Map: Projekt-ID → Text
+  async getNotes() {
+    const notes = await this.repository.getNotes();
+    return new Map(notes.map(note => [note.id, note.text]));
+  }
+
+  saveNote(projectId, text) {
+    return this.repository.saveNote(projectId, text);
+  }
+
+  // Änderungen an Projekten oder Notizen aus anderen Tabs
+  subscribe(listener) {
+    return this.repository.onRemoteChange(store => {
+      if (store === 'projects' || store === 'notes') listener();
+    });
+  }
+
+  // Änderung anwenden und abgeleitete Felder (progress, currentStep, completedAt) neu setzen
+  async update(projectId, change, steps) {
+    const entry = await this.get(projectId);
+    if (!entry) return null;
+
+    change(entry);
+    MyProjectsStore.applyProgress(entry, steps);
+
+    await this.repository.saveStartedProject(entry);
+    return entry;
+  }
+
+  // progress, currentStep und completedAt aus completedSteps ableiten
+  static applyProgress(entry, steps) {
+    entry.progress = MyProjectsStore.calculateProgress(entry.completedSteps, steps);
+    const nextOpen = steps.findIndex((_, index) => !entry.completedSteps.includes(index));
+    entry.currentStep = nextOpen === -1 ? Math.max(steps.length - 1, 0) : nextOpen;
+
+    if (entry.progress === 100) {
+      entry.completedAt = entry.completedAt || new Date().toISOString();
+    } else {
+      entry.completedAt = null;
+    }
+    return entry;
+  }
+
+  // Fortschritt in Prozent, gewichtet nach der Zeit der Schritte ("45 min")
+  static calculateProgress(completedSteps, steps) {
+    if (steps.length === 0) return 0;
+
+    const minutes = steps.map(step => ProjectFacets.parseTimeRange(step.time)?.max || 0);
+    const totalMinutes = minutes.reduce((sum, value) => sum + value, 0);
+
+    if (totalMinutes === 0) {
+      return Math.round((completedSteps.length / steps.length) * 100);
+    }
+
+    const doneMinutes = completedSteps.reduce((sum, index) => sum + (minutes[index] || 0), 0);
+    return Math.round((doneMinutes / totalMinutes) * 100);
+  }
+
+  static remainingMinutes(completedSteps, steps) {
+    return steps.reduce((sum, step, index) => {
+      if (completedSteps.includes(index)) return sum;
+      return sum + (ProjectFacets.parseTimeRange(step.time)?.max || 0);
+    }, 0);
+  }
+}
+
+// Ansicht "Meine Projekte" unterhalb des Portfolios
+class MyProjectsView {
+  constructor({ store, i18n, getProject, onOpenProject, onNotify, onChange = () => {} }) {
+    this.store = store;
+    this.i18n = i18n;
+    this.getProject = getProject;
+    this.onOpenProject = onOpenProject;
+    this.onNotify = onNotify;
+    this.onChange = onChange;
+    this.section = null;
+    this.pendingNotes = new Map();
+  }
+
+  init() {
+    const portfolioSection = document.getElementById('portfolio');
+    if (!portfolioSection) return;
+
+    this.section = document.createElement('section');
+    this.section.className = 'my-projects-section';
+    this.section.id = 'my-projects';
+    this.section.hidden = true;
+    this.section.setAttribute('aria-labelledby', 'my-projects-heading');
+    this.section.innerHTML = `
+      <div class="container">
+        <h2 id="my-projects-heading">${this.i18n.t('myProjects.heading')}</h2>
+        <div class="my-projects-list" aria-live="polite"></div>
+      </div>
+    `;
+    portfolioSection.parentNode.insertBefore(this.section, portfolioSection.nextSibling);
+
+    // Event Delegation: Liste wird bei jeder Änderung neu gerendert
+    this.section.addEventListener('change', (e) => {
+      if (e.target.matches('.my-step-checkbox')) {
+        this.toggleStep(parseInt(e.target.dataset.projectId, 10), parseInt(e.target.dataset.step, 10));
+      }
+    });
+
+    this.section.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-action]');
+      if (!button) return;
+
+      const projectId = parseInt(button.dataset.projectId, 10);
+      if (button.dataset.action === 'open') this.onOpenProject(projectId);
+      if (button.dataset.action === 'complete') this.complete(projectId);
+      if (button.dataset.action === 'remove') this.remove(projectId);
+    });
+
+    // Notizen verzögert speichern, nicht bei jedem Tastendruck
+    this.section.addEventListener('input', (e) => {
+      if (e.target.matches('.my-project-notes-input')) {
+        this.scheduleNoteSave(parseInt(e.target.dataset.projectId, 10), e.target.value);
+      }
+    });
+
+    this.store.subscribe(() => this.render());
+    this.render();
+  }
+
+  // Aktuelle Projektdaten aus dem Katalog bevorzugen, sonst die gespeicherte Kopie
+  getSteps(entry) {
+    return (this.getProject(entry.id) || entry).steps || [];
+  }
+
+  // Titel in der Sprache der Seite, sofern das Projekt noch im Katalog ist
+  getTitle(entry) {
+    return this.getProject(entry.id)?.title || entry.title;
+  }
+
+  async toggleStep(projectId, stepIndex) {
+    const entry = await this.store.get(projectId);
+    if (!entry) return;
+
+    const wasCompleted = Boolean(entry.completedAt);
+
+    try {
+      const updated = await this.store.toggleStep(projectId, stepIndex, this.getSteps(entry));
+      if (updated?.completedAt && !wasCompleted) {
+        this.onNotify(this.i18n.t('myProjects.finished', { title: this.getTitle(updated) }));
+      }
+    } catch (error) {
+      console.error('Fortschritt konnte nicht gespeichert werden:', error);
+    }
+    this.render();
+  }
+
+  async complete(projectId) {
+    const entry = await this.store.get(projectId);
+    if (!entry) return;
+
+    try {
+      await this.store.complete(projectId, this.getSteps(entry));
+      this.onNotify(this.i18n.t('myProjects.finished', { title: this.getTitle(entry) }));
+    } catch (error) {
+      console.error('Fortschritt konnte nicht gespeichert werden:', error);
+    }
+    this.render();
+  }
+
+  async remove(projectId) {
+    const entry = await this.store.get(projectId);
+    if (!entry || !confirm(this.i18n.t('myProjects.confirmRemove', { title: this.getTitle(entry) }))) return;
+
+    clearTimeout(this.pendingNotes.get(projectId)?.timer);
+    this.pendingNotes.delete(projectId);
+    await this.store.remove(projectId);
+    await this.store.saveNote(projectId, '');
+    this.render();
+  }
+
+  scheduleNoteSave(projectId, text) {
+    clearTimeout(this.pendingNotes.get(projectId)?.timer);
+    this.pendingNotes.set(projectId, {
+      text,
+      timer: setTimeout(() => this.saveNote(projectId), 500)
+    });
+  }
+
+  async saveNote(projectId) {
+    const pending = this.pendingNotes.get(projectId);
+    if (!pending) return;
+
+    clearTimeout(pending.timer);
+    this.pendingNotes.delete(projectId);
+
+    try {
+      await this.store.saveNote(projectId, pending.text);
+    } catch (error) {
+      console.error('Notiz konnte nicht gespeichert werden:', error);
+    }
+  }
+
+  async render() {
+    if (!this.section) return;
+
+    // Noch nicht gesicherte Notizen zuerst speichern, sonst überschreibt das Rendern sie
+    await Promise.all([...this.pendingNotes.keys()].map(projectId => this.saveNote(projectId)));
+
+    let entries;
+    let notes;
+    try {
+      [entries, notes] = await Promise.all([this.store.load(), this.store.getNotes()]);
+    } catch (error) {
+      console.error('Meine Projekte konnten nicht geladen werden:', error);
+      return;
+    }
+
+    // Nicht unter den Fingern neu rendern, während gerade eine Notiz getippt wird
+    if (document.activeElement?.matches('.my-project-notes-input') && this.section.contains(document.activeElement)) {
+      return;
+    }
+
+    this.section.hidden = entries.length === 0;
+    this.onChange(entries);
+
+    const active = entries.filter(entry => !entry.completedAt);
+    const finished = entries.filter(entry => entry.completedAt);
+    const list = this.section.querySelector('.my-projects-list');
+
+    list.innerHTML = `
+      ${active.map(entry => this.renderEntry(entry, notes.get(entry.id))).join('')}
+      ${finished.length > 0 ? `
+        <h3 class="my-projects-subheading">${this.i18n.t('myProjects.completed')}</h3>
+        ${finished.map(entry => this.renderEntry(entry, notes.get(entry.id))).join('')}
+      ` : ''}
+    `;
+  }
+
+  renderEntry(entry, note = '') {
+    const steps = this.getSteps(entry);
+    const progress = MyProjectsStore.calculateProgress(entry.completedSteps, steps);
+    const remaining = MyProjectsStore.remainingMinutes(entry.completedSteps, steps);
+    const t = (key, params) => this.i18n.t(key, params);
+    const formatDate = date => new Date(date).toLocaleDateString(this.i18n.locale);
+    const title = ProjectSearch.escapeHtml(this.getTitle(entry));
+    const status = entry.completedAt
+      ? t('myProjects.finishedOn', { date: formatDate(entry.completedAt) })
+      : t('myProjects.stepsDone', { done: entry.completedSteps.length, count: steps.length, minutes: remaining });
+
+    return `
+      <article class="my-project-card ${entry.completedAt ? 'is-complete' : ''}">
+        <div class="my-project-header">
+          ${ProjectMedia.html(entry.image, { className: 'my-project-emoji', sizes: '48px', alt: '' })}
+          <div>
+            <h3>${title}</h3>
+            <p class="my-project-meta">${t('myProjects.started', { date: formatDate(entry.startedAt), status })}</p>
+          </div>
+        </div>
+        <div class="my-project-progress" role="progressbar" aria-valuemin="0" aria-valuemax="100"
+             aria-valuenow="${progress}" aria-label="${t('myProjects.progress', { title })}">
+          <div class="my-project-progress-bar" style="width: ${progress}%"></div>
+        </div>
+        <details class="my-project-steps" ${entry.completedAt ? '' : 'open'}>
+          <summary>${t('myProjects.steps', { progress })}</summary>
+          <ol>
+            ${steps.map((step, index) => `
+              <li class="${index === entry.currentStep && !entry.completedAt ? 'is-current' : ''}">
+                <label>
+                  <input type="checkbox" class="my-step-checkbox" data-project-id="${entry.id}" data-step="${index}"
+                         ${entry.completedSteps.includes(index) ? 'checked' : ''}>
+                  <span class="my-step-title">${ProjectSearch.escapeHtml(step.title)}</span>
+                  <span class="my-step-time">⏱️ ${step.time}</span>
+                </label>
+              </li>
+            `).join('')}
+          </ol>
+        </details>
+        <label class="my-project-notes">
+          <span>${t('myProjects.notes')}</span>
+          <textarea class="my-project-notes-input" data-project-id="${entry.id}" rows="3"
+                    placeholder="${t('myProjects.notesPlaceholder')}">${ProjectSearch.escapeHtml(note || '')}</textarea>
+        </label>
+        <div class="my-project-actions">
+          <button type="button" data-action="open" data-project-id="${entry.id}">${t('myProjects.open')}</button>
+          ${entry.completedAt ? '' : `<button type="button" data-action="complete" data-project-id="${entry.id}">${t('myProjects.complete')}</button>`}
+          <button type="button" data-action="remove" data-project-id="${entry.id}">${t('myProjects.remove')}</button>
+        </div>
+      </article>
+    `;
+  }
+}
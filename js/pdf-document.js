@@ -0,0 +1,196 @@
+// ==========================================================================
+// Minimaler PDF-Generator (ohne Server, ohne Bibliothek)
+// ==========================================================================
+//
+// Erzeugt einfache Text-PDFs im A4-Format mit den Standardschriften
+// Helvetica und Helvetica-Bold (WinAnsiEncoding, also inkl. Umlaute, ß, €
+// und deutscher Anführungszeichen). Zeichen außerhalb davon – vor allem
+// Emojis – werden weggelassen. Koordinaten werden von oben links in Punkt
+// (1/72 Zoll) angegeben.
+
+const PDF_A4 = { width: 595.28, height: 841.89 };
+
+// Zeichenbreiten von Helvetica (pro 1000 Einheiten) für ASCII 32–126
+const PDF_HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+
+// Unicode → WinAnsi für Zeichen außerhalb von Latin-1
+const PDF_WIN_ANSI = {
+  '€': 0x80, '‚': 0x82, '„': 0x84, '…': 0x85, '‘': 0x91, '’': 0x92,
+  '“': 0x93, '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97
+};
+
+class PdfDocument {
+  constructor({ width = PDF_A4.width, height = PDF_A4.height } = {}) {
+    this.width = width;
+    this.height = height;
+    this.pages = [];
+    this.pageIndex = 0;
+    this.addPage();
+  }
+
+  get pageCount() {
+    return this.pages.length;
+  }
+
+  addPage() {
+    this.pages.push([]);
+    this.pageIndex = this.pages.length - 1;
+  }
+
+  // Auf eine vorhandene Seite zurückspringen, z.B. für Fußzeilen
+  setPage(index) {
+    this.pageIndex = index;
+  }
+
+  get current() {
+    return this.pages[this.pageIndex];
+  }
+
+  // Text mit der Grundlinie bei `y` (von oben gemessen)
+  text(value, x, y, { size = 11, bold = false, gray = 0 } = {}) {
+    const encoded = PdfDocument.encode(value);
+    if (!encoded) return;
+
+    this.current.push(
+      `BT ${gray} g /${bold ? 'F2' : 'F1'} ${size} Tf ${x.toFixed(2)} ${(this.height - y).toFixed(2)} Td (${encoded}) Tj ET`
+    );
+  }
+
+  // Leeres Rechteck, z.B. als Ankreuzkästchen
+  rect(x, y, width, height, { lineWidth = 0.8 } = {}) {
+    this.current.push(
+      `${lineWidth} w ${x.toFixed(2)} ${(this.height - y - height).toFixed(2)} ${width.toFixed(2)} ${height.toFixed(2)} re S`
+    );
+  }
+
+  line(x1, y1, x2, y2, { lineWidth = 0.5, gray = 0.7 } = {}) {
+    this.current.push(
+      `${gray} G ${lineWidth} w ${x1.toFixed(2)} ${(this.height - y1).toFixed(2)} m ${x2.toFixed(2)} ${(this.height - y2).toFixed(2)} l S 0 G`
+    );
+  }
+
+  // Breite in Punkt; Fettschrift ist etwas breiter als der reguläre Schnitt
+  measure(value, size = 11, bold = false) {
+    const units = [...PdfDocument.toWinAnsi(value)].reduce((sum, char) => {
+      return sum + PdfDocument.charWidth(char);
+    }, 0);
+    return (units / 1000) * size * (bold ? 1.06 : 1);
+  }
+
+  // Text auf Zeilen mit höchstens `maxWidth` Punkt umbrechen
+  wrap(value, maxWidth, size = 11, bold = false) {
+    const lines = [];
+    let line = '';
+
+    String(value).split(/\s+/).filter(Boolean).forEach(word => {
+      const candidate = line ? `${line} ${word}` : word;
+      if (line && this.measure(candidate, size, bold) > maxWidth) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = candidate;
+      }
+    });
+
+    if (line) lines.push(line);
+    return lines;
+  }
+
+  // Komplettes PDF als Zeichenkette mit einem Byte pro Zeichen
+  build() {
+    const objects = [];
+    const add = body => {
+      objects.push(body);
+      return objects.length;
+    };
+
+    const catalogId = add(null);
+    const pagesId = add(null);
+    const regularFontId = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+    const boldFontId = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+
+    const pageIds = this.pages.map(operations => {
+      const stream = operations.join('\n');
+      const contentId = add(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`);
+      return add(
+        `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${this.width} ${this.height}] ` +
+        `/Resources << /Font << /F1 ${regularFontId} 0 R /F2 ${boldFontId} 0 R >> >> /Contents ${contentId} 0 R >>`
+      );
+    });
+
+    objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+    objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+    let output = '%PDF-1.4\n%\xe2\xe3\xcf\xd3\n';
+    const offsets = objects.map((body, index) => {
+      const offset = output.length;
+      output += `${index + 1} 0 obj\n${body}\nendobj\n`;
+      return offset;
+    });
+
+    const xrefOffset = output.length;
+    output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    output += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    output += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+    return output;
+  }
+
+  toBlob() {
+    const output = this.build();
+    const bytes = new Uint8Array(output.length);
+    for (let i = 0; i < output.length; i++) {
+      bytes[i] = output.charCodeAt(i) & 0xff;
+    }
+    return new Blob([bytes], { type: 'application/pdf' });
+  }
+
+  download(filename) {
+    const url = URL.createObjectURL(this.toBlob());
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  // Nicht darstellbare Zeichen entfernen, Sonderzeichen auf WinAnsi abbilden
+  static toWinAnsi(value) {
+    return [...String(value)]
+      .map(char => {
+        if (PDF_WIN_ANSI[char]) return String.fromCharCode(PDF_WIN_ANSI[char]);
+        const code = char.codePointAt(0);
+        if (code >= 32 && code <= 126) return char;
+        if (code >= 160 && code <= 255) return char;
+        return '';
+      })
+      .join('')
+      .replace(/\s{2,}/g, ' ')
+      .trim();
+  }
+
+  static encode(value) {
+    return PdfDocument.toWinAnsi(value).replace(/[\\()]/g, match => `\\${match}`);
+  }
+
+  static charWidth(char) {
+    const code = char.charCodeAt(0);
+    if (code >= 32 && code <= 126) return PDF_HELVETICA_WIDTHS[code - 32];
+
+    // Umlaute wie der Grundbuchstabe, sonst eine mittlere Breite
+    const base = char.normalize('NFD')[0];
+    if (base !== char && base.charCodeAt(0) <= 126) return PdfDocument.charWidth(base);
+    if (char === 'ß') return 611;
+    if (code === 0x85 || code === 0x97) return 1000;
+    return 556;
+  }
+}
@@ -0,0 +1,56 @@
+// ==========================================================================
+// Projekt-Katalog: lädt die DIY-Projekte aus data/projects.json
+// ==========================================================================
+//
+// Der Katalog ist versioniert ({ "version": 2, "projects": [...] }) und wird
+// beim Laden gegen data/project.schema.json geprüft (js/project-validator.js).
+// Fehlerhafte Projekte werden gemeldet und übersprungen, damit ein einzelner
+// Tippfehler in der JSON-Datei nicht das ganze Portfolio lahmlegt.
+
+const PROJECT_CATALOG_URL = 'data/projects.json';
+
+class ProjectCatalog {
+  constructor(url = PROJECT_CATALOG_URL) {
+    this.url = url;
+    this.errors = [];
+  }
+
+  // Katalog und Schema laden und nur gültige Projekte zurückgeben
+  async load() {
+    const [response, validator] = await Promise.all([
+      fetch(this.url, { cache: 'no-cache' }),
+      ProjectValidator.load()
+    ]);
+
+    if (!response.ok) {
+      throw new Error(`Projekt-Katalog nicht verfügbar (HTTP ${response.status})`);
+    }
+
+    const catalog = await response.json();
+    return this.parse(catalog, validator);
+  }
+
+  parse(catalog, validator) {
+    const result = validator.validateCatalog(catalog);
+    this.errors = [];
+
+    // Fehler auf Katalog-Ebene (Version, Struktur) machen alle Projekte unbrauchbar
+    if (result.errors.length > 0) {
+      const details = result.errors.map(error => `${error.path}: ${error.message}`).join(', ');
+      throw new Error(`Ungültiger Projekt-Katalog: ${details}`);
+    }
+
+    return result.projects
+      .filter(entry => {
+        if (entry.errors.length === 0) return true;
+
+        this.errors.push(entry);
+        console.warn(
+          `⚠️ Projekt #${entry.index} (id: ${entry.id}) übersprungen:\n  ` +
+          entry.errors.map(error => `${error.path}: ${error.message}`).join('\n  ')
+        );
+        return false;
+      })
+      .map(entry => entry.project);
+  }
+}
@@ -0,0 +1,157 @@
+// ==========================================================================
+// Projekt-Facetten: kombinierbare Filter mit Trefferzahlen
+// ==========================================================================
+//
+// Innerhalb einer Facette werden Optionen ODER-verknüpft, zwischen den
+// Facetten UND. Die Trefferzahl einer Option berücksichtigt alle anderen
+// aktiven Facetten, damit sie genau anzeigt, was ein Klick ergeben würde.
+// Beschriftungen kommen aus den Übersetzungen (facets.<key>.<value>).
+
+// Grenzen der Kostenstufen in der Katalogwährung; angezeigt werden sie in
+// der gewählten Währung (min/max der Optionen)
+const FACET_COST_LOW = new Money(5000);
+const FACET_COST_HIGH = new Money(7500);
+
+class ProjectFacets {
+  constructor({ getCost }) {
+    this.getCost = getCost;
+    this.definitions = [
+      {
+        key: 'difficulty',
+        options: [{ value: '1' }, { value: '2' }, { value: '3' }],
+        values: project => [String(project.difficulty_details.level)]
+      },
+      {
+        key: 'time',
+        options: [{ value: 'short' }, { value: 'medium' }, { value: 'long' }],
+        values: project => [this.timeBucket(project)]
+      },
+      {
+        key: 'cost',
+        options: [
+          { value: 'low', max: FACET_COST_LOW },
+          { value: 'medium', min: FACET_COST_LOW, max: FACET_COST_HIGH },
+          { value: 'high', min: FACET_COST_HIGH }
+        ],
+        values: project => [this.costBucket(project)]
+      },
+      {
+        key: 'tags',
+        options: [],
+        values: project => project.tags
+      }
+    ];
+
+    this.selection = {};
+    this.definitions.forEach(definition => {
+      this.selection[definition.key] = new Set();
+    });
+  }
+
+  // Tag-Optionen aus den Projektdaten ableiten (häufigste zuerst)
+  setProjects(projects) {
+    const tagCounts = new Map();
+    projects.forEach(project => {
+      project.tags.forEach(tag => tagCounts.set(tag, (tagCounts.get(tag) || 0) + 1));
+    });
+
+    this.getDefinition('tags').options = [...tagCounts.entries()]
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0], 'de'))
+      .map(([tag]) => ({ value: tag }));
+  }
+
+  getDefinition(key) {
+    return this.definitions.find(definition => definition.key === key);
+  }
+
+  // Nur bekannte Optionen übernehmen (z.B. aus der URL)
+  select(key, value) {
+    const definition = this.getDefinition(key);
+    if (definition && definition.options.some(option => option.value === value)) {
+      this.selection[key].add(value);
+    }
+  }
+
+  toggle(key, value) {
+    const selected = this.selection[key];
+    if (selected.has(value)) {
+      selected.delete(value);
+    } else {
+      selected.add(value);
+    }
+  }
+
+  clear() {
+    Object.values(this.selection).forEach(selected => selected.clear());
+  }
+
+  activeCount() {
+    return Object.values(this.selection).reduce((sum, selected) => sum + selected.size, 0);
+  }
+
+  // Prüft alle aktiven Facetten, optional ohne die Facette `exceptKey`
+  matches(project, exceptKey = null) {
+    return this.definitions.every(definition => {
+      const selected = this.selection[definition.key];
+      if (definition.key === exceptKey || selected.size === 0) return true;
+      return definition.values(project).some(value => selected.has(value));
+    });
+  }
+
+  apply(projects) {
+    return projects.filter(project => this.matches(project));
+  }
+
+  // Trefferzahlen je Option: { difficulty: Map('1' => 3, ...), ... }
+  counts(projects) {
+    const counts = {};
+
+    this.definitions.forEach(definition => {
+      const optionCounts = new Map(definition.options.map(option => [option.value, 0]));
+
+      projects
+        .filter(project => this.matches(project, definition.key))
+        .forEach(project => {
+          new Set(definition.values(project)).forEach(value => {
+            if (optionCounts.has(value)) {
+              optionCounts.set(value, optionCounts.get(value) + 1);
+            }
+          });
+        });
+
+      counts[definition.key] = optionCounts;
+    });
+
+    return counts;
+  }
+
+  // Einteilung nach der Obergrenze der Zeitangabe (lieber großzügig planen)
+  timeBucket(project) {
+    const range = ProjectFacets.parseTimeRange(project.timeRequired);
+    if (!range) return null;
+    if (range.max <= 120) return 'short';
+    if (range.max <= 240) return 'medium';
+    return 'long';
+  }
+
+  // getCost liefert Money in der Katalogwährung
+  costBucket(project) {
+    const cost = this.getCost(project).amount;
+    if (cost < FACET_COST_LOW.amount) return 'low';
+    if (cost <= FACET_COST_HIGH.amount) return 'medium';
+    return 'high';
+  }
+
+  // "4-6 Stunden" bzw. "4-6 hours" → { min: 240, max: 360 } (Minuten)
+  static parseTimeRange(text) {
+    const match = /^\s*(\d+(?:[.,]\d+)?)\s*(?:[-–]\s*(\d+(?:[.,]\d+)?))?\s*(min|minuten|minutes?|std|stunden?|hours?|tage?|days?)\b/i.exec(text || '');
+    if (!match) return null;
+
+    const unit = match[3].toLowerCase();
+    const factor = unit.startsWith('min') ? 1 : unit.startsWith('tag') || unit.startsWith('day') ? 24 * 60 : 60;
+    const min = parseFloat(match[1].replace(',', '.')) * factor;
+    const max = match[2] ? parseFloat(match[2].replace(',', '.')) * factor : min;
+
+    return { min, max };
+  }
+}
@@ -0,0 +1,57 @@
+// ==========================================================================
+// Projektbilder: Fotos mit srcset oder Emoji-Platzhalter
+// ==========================================================================
+//
+// `image`, `gallery[]` und `steps[].image` sind entweder ein Emoji ("🧵")
+// oder ein Foto { src, alt, caption?, srcset?, width?, height? }. Fotos
+// werden lazy geladen; Projekte mit Emoji sehen aus wie bisher. Gibt es
+// für ein Foto Varianten aus scripts/build-images.js, wird ein <picture>
+// mit AVIF/WebP und Platzhalter daraus (js/image-manifest.js).
+
+let projectMediaImages = null;
+
+class ProjectMedia {
+  static useImages(imageManifest) {
+    projectMediaImages = imageManifest;
+  }
+
+  static isPhoto(image) {
+    return Boolean(image) && typeof image === 'object' && typeof image.src === 'string';
+  }
+
+  // <img> für Fotos, sonst das Emoji in einem <span class="className">
+  static html(image, { className = '', sizes = '100vw', alt = null, eager = false } = {}) {
+    const escape = ProjectSearch.escapeHtml;
+
+    if (!ProjectMedia.isPhoto(image)) {
+      return `<span class="${className}" aria-hidden="true">${escape(image || '')}</span>`;
+    }
+
+    const variants = projectMediaImages?.get(image.src);
+    const srcset = variants ? variants.sources['image/jpeg'] : image.srcset;
+    const width = image.width || variants?.width;
+    const height = image.height || variants?.height;
+
+    const attributes = [
+      `src="${escape(variants ? variants.fallback : image.src)}"`,
+      `alt="${escape(alt ?? image.alt)}"`,
+      srcset ? `srcset="${escape(srcset)}" sizes="${escape(sizes)}"` : '',
+      width ? `width="${width}"` : '',
+      height ? `height="${height}"` : '',
+      variants ? `style="background-image: url('${variants.placeholder}')"` : '',
+      eager ? '' : 'loading="lazy"',
+      'decoding="async"'
+    ].filter(Boolean).join(' ');
+
+    const img = `<img class="${className} is-photo${variants ? ' has-placeholder' : ''}" ${attributes}>`;
+    return variants ? ImageManifest.pictureHtml(variants, sizes, img) : img;
+  }
+
+  static caption(image) {
+    return ProjectMedia.isPhoto(image) ? image.caption || '' : '';
+  }
+
+  static alt(image) {
+    return ProjectMedia.isPhoto(image) ? image.alt : '';
+  }
+}
@@ -0,0 +1,201 @@
+// ==========================================================================
+// Druckansicht und PDF-Export einer Anleitung
+// ==========================================================================
+//
+// Für die Werkbank: Materialliste zum Abhaken, nummerierte Schritte mit
+// Zeiten und Tipps sowie die Gesamtkosten. Gedruckt wird ein eigenes
+// Blatt (.print-sheet, siehe Print Styles in css/styles.css), das PDF
+// entsteht komplett im Browser (js/pdf-document.js).
+
+class ProjectPrintSheet {
+  constructor({ getCost, currency, i18n }) {
+    this.getCost = getCost;
+    this.currency = currency;
+    this.i18n = i18n;
+  }
+
+  formatCost(project) {
+    return this.currency.format(this.getCost(project));
+  }
+
+  // Angaben unter dem Titel: Zeit, Schwierigkeit, Kosten
+  meta(project, key) {
+    return this.i18n.t(key, {
+      time: project.timeRequired,
+      difficulty: this.i18n.t(`difficulty.${project.difficulty}`),
+      cost: this.formatCost(project)
+    });
+  }
+
+  render(project) {
+    const escape = ProjectSearch.escapeHtml;
+    const t = (key, params) => this.i18n.t(key, params);
+
+    return `
+      <header class="print-header">
+        <h1>${escape(project.title)}</h1>
+        <p>${escape(project.fullDescription)}</p>
+        <p class="print-meta">${escape(this.meta(project, 'print.meta'))}</p>
+      </header>
+
+      <section class="print-materials">
+        <h2>${t('print.materials')}</h2>
+        <ul class="print-checklist">
+          ${project.materials.map(material => `
+            <li>
+              <span class="print-checkbox" aria-hidden="true"></span>
+              <span class="print-item-name">${escape(material.name)} <small>(${escape(material.amount)})</small></span>
+              <span class="print-item-price">${escape(this.currency.formatMaterial(material))}</span>
+            </li>
+          `).join('')}
+        </ul>
+        <p class="print-total"><strong>${t('cost.total', { cost: this.formatCost(project) })}</strong></p>
+        ${this.currency.note() ? `<p class="print-meta">${escape(this.currency.note())}</p>` : ''}
+
+        <h2>${t('print.tools')}</h2>
+        <ul class="print-checklist">
+          ${project.tools.map(tool => `
+            <li>
+              <span class="print-checkbox" aria-hidden="true"></span>
+              <span class="print-item-name">${escape(tool)}</span>
+            </li>
+          `).join('')}
+        </ul>
+      </section>
+
+      <section class="print-steps">
+        <h2>${t('print.steps')}</h2>
+        <ol>
+          ${project.steps.map(step => `
+            <li>
+              <h3>${escape(step.title)} <span class="print-step-time">⏱️ ${escape(step.time)}</span></h3>
+              <p>${escape(step.description)}</p>
+              <p class="print-tip">💡 ${escape(step.tips)}</p>
+            </li>
+          `).join('')}
+        </ol>
+      </section>
+
+      <footer class="print-footer">${escape(ProjectRouter.buildUrl(project.id))}</footer>
+    `;
+  }
+
+  print(project) {
+    this.printHtml(this.render(project));
+  }
+
+  // Druckdialog nur mit diesem Blatt öffnen (auch für die Einkaufsliste)
+  printHtml(html) {
+    const sheet = document.createElement('article');
+    sheet.className = 'print-sheet';
+    sheet.innerHTML = html;
+    document.body.appendChild(sheet);
+    document.body.classList.add('is-printing-sheet');
+
+    const cleanup = () => {
+      window.removeEventListener('afterprint', cleanup);
+      document.body.classList.remove('is-printing-sheet');
+      sheet.remove();
+    };
+
+    window.addEventListener('afterprint', cleanup);
+    window.print();
+  }
+
+  downloadPdf(project) {
+    const name = ProjectPrintSheet.slugify(project.title);
+    this.createPdf(project).download(this.i18n.t('print.fileName', { name }));
+  }
+
+  createPdf(project) {
+    const t = (key, params) => this.i18n.t(key, params);
+    const pdf = new PdfDocument();
+    const margin = 50;
+    const contentWidth = pdf.width - margin * 2;
+    let y = margin;
+
+    const ensureSpace = height => {
+      if (y + height > pdf.height - margin) {
+        pdf.addPage();
+        y = margin;
+      }
+    };
+
+    const paragraph = (text, { size = 11, bold = false, gray = 0, indent = 0, gap = 4 } = {}) => {
+      const lineHeight = size * 1.35;
+      pdf.wrap(text, contentWidth - indent, size, bold).forEach(line => {
+        ensureSpace(lineHeight);
+        y += lineHeight;
+        pdf.text(line, margin + indent, y, { size, bold, gray });
+      });
+      y += gap;
+    };
+
+    const heading = text => {
+      ensureSpace(40);
+      y += 12;
+      paragraph(text, { size: 14, bold: true, gap: 6 });
+    };
+
+    // Checkliste: Kästchen, Name (umbrochen) und optional Preis rechtsbündig
+    const checklistItem = (label, price = '') => {
+      const priceWidth = price ? pdf.measure(price, 11) + 12 : 0;
+      const lines = pdf.wrap(label, contentWidth - 20 - priceWidth, 11);
+
+      ensureSpace(lines.length * 15 + 4);
+      pdf.rect(margin, y + 4, 9, 9);
+      lines.forEach((line, index) => {
+        y += 15;
+        pdf.text(line, margin + 20, y);
+        if (index === 0 && price) {
+          pdf.text(price, margin + contentWidth - pdf.measure(price, 11), y);
+        }
+      });
+      y += 4;
+    };
+
+    paragraph(project.title, { size: 20, bold: true, gap: 8 });
+    paragraph(project.fullDescription, { gap: 6 });
+    paragraph(this.meta(project, 'print.pdfMeta'), { size: 10, gray: 0.35 });
+
+    heading(t('print.materials'));
+    project.materials.forEach(material => {
+      checklistItem(`${material.name} (${material.amount})`, this.currency.formatMaterial(material));
+    });
+    ensureSpace(24);
+    pdf.line(margin, y + 4, margin + contentWidth, y + 4);
+    y += 6;
+    paragraph(t('cost.total', { cost: this.formatCost(project) }), { bold: true });
+    if (this.currency.note()) {
+      paragraph(this.currency.note(), { size: 9, gray: 0.35 });
+    }
+
+    heading(t('print.tools'));
+    project.tools.forEach(tool => checklistItem(tool));
+
+    heading(t('print.steps'));
+    project.steps.forEach((step, index) => {
+      ensureSpace(60);
+      paragraph(`${index + 1}. ${step.title} (${step.time})`, { size: 12, bold: true, gap: 2 });
+      paragraph(step.description, { indent: 16, gap: 2 });
+      paragraph(t('print.tip', { tip: step.tips }), { size: 10, gray: 0.35, indent: 16, gap: 10 });
+    });
+
+    // Fußzeile mit Link und Seitenzahl auf jeder Seite
+    const url = ProjectRouter.buildUrl(project.id);
+    pdf.pages.forEach((_, index) => {
+      const label = t('print.page', { page: index + 1, count: pdf.pageCount });
+      pdf.setPage(index);
+      pdf.text(url, margin, pdf.height - 25, { size: 8, gray: 0.5 });
+      pdf.text(label, pdf.width - margin - pdf.measure(label, 8), pdf.height - 25, { size: 8, gray: 0.5 });
+    });
+
+    return pdf;
+  }
+
+  static slugify(text) {
+    return ProjectSearch.normalize(text)
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-|-$/g, '') || 'projekt';
+  }
+}
@@ -0,0 +1,83 @@
+// ==========================================================================
+// Projekt-Router: Deep Links wie #project-3 oder #project-3/steps
+// ==========================================================================
+//
+// Öffnet beim Laden und bei hashchange das passende Projekt-Modal. Wird ein
+// Modal aus der Seite heraus geöffnet, entsteht ein neuer History-Eintrag –
+// der Zurück-Button schließt das Modal also wieder.
+
+const PROJECT_ROUTE_PATTERN = /^#project-(\d+)(?:\/([a-z-]+))?$/;
+
+class ProjectRouter {
+  constructor({ onOpen, onClose }) {
+    this.onOpen = onOpen;
+    this.onClose = onClose;
+    this.pushedEntry = false;
+    this.handleHashChange = this.handleHashChange.bind(this);
+  }
+
+  start() {
+    window.addEventListener('hashchange', this.handleHashChange);
+    this.handleHashChange();
+  }
+
+  handleHashChange() {
+    const route = ProjectRouter.parse(window.location.hash);
+
+    if (route) {
+      this.onOpen(route.projectId, route.tab);
+    } else {
+      this.pushedEntry = false;
+      this.onClose();
+    }
+  }
+
+  // Projekt öffnen: neuer History-Eintrag (löst hashchange aus)
+  navigate(projectId, tab = null) {
+    const hash = ProjectRouter.build(projectId, tab);
+    if (window.location.hash === hash) return;
+
+    if (!ProjectRouter.parse(window.location.hash)) {
+      this.pushedEntry = true;
+    }
+    window.location.hash = hash;
+  }
+
+  // Tab-Wechsel im offenen Modal: Hash ersetzen, ohne History aufzublähen
+  replace(projectId, tab = null) {
+    history.replaceState(history.state, '', ProjectRouter.build(projectId, tab));
+  }
+
+  // Modal wurde über die Oberfläche geschlossen
+  close() {
+    if (!ProjectRouter.parse(window.location.hash)) return;
+
+    if (this.pushedEntry) {
+      this.pushedEntry = false;
+      history.back();
+    } else {
+      // Direkt per Deep Link gekommen: Hash entfernen, Seite bleibt stehen
+      history.replaceState(history.state, '', window.location.pathname + window.location.search);
+    }
+  }
+
+  static parse(hash) {
+    const match = PROJECT_ROUTE_PATTERN.exec(hash || '');
+    if (!match) return null;
+
+    return {
+      projectId: parseInt(match[1], 10),
+      tab: match[2] || null
+    };
+  }
+
+  static build(projectId, tab = null) {
+    return `#project-${projectId}${tab ? `/${tab}` : ''}`;
+  }
+
+  // Absolute URL zum Teilen eines Projekts
+  static buildUrl(projectId, tab = null) {
+    const { origin, pathname, search } = window.location;
+    return `${origin}${pathname}${search}${ProjectRouter.build(projectId, tab)}`;
+  }
+}
@@ -0,0 +1,165 @@
+// ==========================================================================
+// Projekt-Suche: Volltext mit Tippfehler-Toleranz und Hervorhebung
+// ==========================================================================
+//
+// Durchsucht Titel, Beschreibungen, Tags, Materialien, Werkzeuge und Schritt-Texte.
+// Umlaute werden vereinheitlicht (ä → ae, ß → ss) und kleine Tippfehler
+// über die Damerau-Levenshtein-Distanz toleriert ("Makrame" → "Makramee").
+
+class ProjectSearch {
+  constructor(projects) {
+    this.entries = projects.map(project => ({
+      project,
+      fields: this.buildFields(project)
+    }));
+  }
+
+  // Durchsuchbare Felder mit Gewichtung (Treffer im Titel zählen am meisten)
+  buildFields(project) {
+    return [
+      { weight: 5, text: project.title },
+      { weight: 4, text: project.tags.join(' ') },
+      { weight: 3, text: project.description },
+      { weight: 2, text: project.fullDescription || '' },
+      { weight: 2, text: project.materials.map(material => material.name).concat(project.tools || []).join(' ') },
+      { weight: 1, text: project.steps.map(step => `${step.title} ${step.description} ${step.tips}`).join(' ') }
+    ].map(field => ({
+      weight: field.weight,
+      words: ProjectSearch.tokenize(field.text)
+    }));
+  }
+
+  // Liefert die passenden Projekte (Teilmenge von `projects`) nach Relevanz sortiert
+  search(query, projects) {
+    const terms = ProjectSearch.tokenize(query);
+    if (terms.length === 0) return projects;
+
+    const allowedIds = new Set(projects.map(project => project.id));
+
+    return this.entries
+      .filter(entry => allowedIds.has(entry.project.id))
+      .map(entry => ({ project: entry.project, score: this.scoreEntry(entry, terms) }))
+      .filter(result => result.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .map(result => result.project);
+  }
+
+  // Alle Suchbegriffe müssen irgendwo vorkommen (UND-Verknüpfung)
+  scoreEntry(entry, terms) {
+    let total = 0;
+
+    for (const term of terms) {
+      let best = 0;
+
+      entry.fields.forEach(field => {
+        field.words.forEach(word => {
+          best = Math.max(best, ProjectSearch.matchScore(term, word) * field.weight);
+        });
+      });
+
+      if (best === 0) return 0;
+      total += best;
+    }
+
+    return total;
+  }
+
+  // Text als HTML zurückgeben, Treffer in <mark> eingeschlossen
+  highlight(text, query) {
+    const terms = ProjectSearch.tokenize(query);
+    const parts = String(text).split(/([\p{L}\p{N}]+)/u);
+
+    return parts.map(part => {
+      const escaped = ProjectSearch.escapeHtml(part);
+      const normalized = ProjectSearch.normalize(part);
+
+      if (terms.length > 0 && normalized && terms.some(term => ProjectSearch.matchScore(term, normalized) > 0)) {
+        return `<mark class="search-highlight">${escaped}</mark>`;
+      }
+
+      return escaped;
+    }).join('');
+  }
+
+  static normalize(text) {
+    return String(text)
+      .toLowerCase()
+      .replace(/ä/g, 'ae')
+      .replace(/ö/g, 'oe')
+      .replace(/ü/g, 'ue')
+      .replace(/ß/g, 'ss')
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '');
+  }
+
+  static tokenize(text) {
+    return ProjectSearch.normalize(text).split(/[^a-z0-9]+/).filter(Boolean);
+  }
+
+  // 1 = exakt, 0.8 = Wortanfang, 0.6 = Wortteil, 0.4 = mit Tippfehler
+  static matchScore(term, word) {
+    if (word === term) return 1;
+    if (word.startsWith(term)) return 0.8;
+    if (term.length >= 3 && word.includes(term)) return 0.6;
+
+    const maxTypos = ProjectSearch.maxTypos(term);
+    if (maxTypos === 0) return 0;
+
+    // Auch gegen den Wortanfang vergleichen, damit Komposita gefunden werden
+    const prefix = word.slice(0, term.length);
+    if (ProjectSearch.distance(term, word, maxTypos) <= maxTypos ||
+        ProjectSearch.distance(term, prefix, maxTypos) <= maxTypos) {
+      return 0.4;
+    }
+
+    return 0;
+  }
+
+  static maxTypos(term) {
+    if (term.length < 4) return 0;
+    if (term.length < 8) return 1;
+    return 2;
+  }
+
+  // Damerau-Levenshtein (Optimal String Alignment) mit frühem Abbruch
+  static distance(a, b, limit) {
+    if (Math.abs(a.length - b.length) > limit) return limit + 1;
+
+    let previousPrevious = [];
+    let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      let rowMin = current[0];
+
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        current[j] = Math.min(
+          previous[j] + 1,
+          current[j - 1] + 1,
+          previous[j - 1] + cost
+        );
+
+        if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          current[j] = Math.min(current[j], previousPrevious[j - 2] + 1);
+        }
+
+        rowMin = Math.min(rowMin, current[j]);
+      }
+
+      if (rowMin > limit) return limit + 1;
+      previousPrevious = previous;
+      previous = current;
+    }
+
+    return previous[b.length];
+  }
+
+  static escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+}
@@ -0,0 +1,65 @@
+// ==========================================================================
+// Projekt-Sortierung für das Portfolio-Grid
+// ==========================================================================
+//
+// Die gewählte Sortierung wird im Speicher gemerkt. Bei Gleichstand
+// bleibt die ursprüngliche Reihenfolge erhalten (Katalog bzw. Relevanz).
+// Beschriftungen kommen aus den Übersetzungen (sort.<key>).
+
+const PROJECT_SORT_STORAGE_KEY = 'portfolio-sort';
+
+class ProjectSorter {
+  constructor({ getCost, storage }) {
+    this.getCost = getCost;
+    this.storage = storage;
+    this.options = [
+      { key: 'default', compare: null },
+      { key: 'rating', compare: (a, b) => b.rating - a.rating },
+      { key: 'completions', compare: (a, b) => b.completions - a.completions },
+      { key: 'cost', compare: (a, b) => this.getCost(a) - this.getCost(b) },
+      { key: 'duration', compare: (a, b) => this.getDuration(a) - this.getDuration(b) },
+      { key: 'publishedAt', compare: (a, b) => this.getPublished(b) - this.getPublished(a) }
+    ];
+    this.current = this.loadPreference();
+  }
+
+  setSort(key, { persist = true } = {}) {
+    if (!this.getOption(key)) return;
+
+    this.current = key;
+    if (persist) {
+      this.storage.set(PROJECT_SORT_STORAGE_KEY, key);
+    }
+  }
+
+  loadPreference() {
+    const saved = this.storage.get(PROJECT_SORT_STORAGE_KEY);
+    return this.getOption(saved) ? saved : 'default';
+  }
+
+  getOption(key) {
+    return this.options.find(option => option.key === key);
+  }
+
+  // Stabil sortieren: Gleichstand → ursprünglicher Index entscheidet
+  apply(projects) {
+    const { compare } = this.getOption(this.current);
+    if (!compare) return projects;
+
+    return projects
+      .map((project, index) => ({ project, index }))
+      .sort((a, b) => compare(a.project, b.project) || a.index - b.index)
+      .map(entry => entry.project);
+  }
+
+  // Mittelwert der Zeitspanne in Minuten, unbekannte Angaben ans Ende
+  getDuration(project) {
+    const range = ProjectFacets.parseTimeRange(project.timeRequired);
+    return range ? (range.min + range.max) / 2 : Infinity;
+  }
+
+  getPublished(project) {
+    const time = Date.parse(project.publishedAt);
+    return Number.isNaN(time) ? -Infinity : time;
+  }
+}
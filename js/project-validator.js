@@ -0,0 +1,153 @@
+// ==========================================================================
+// Projekt-Validator: prüft Projekte gegen data/project.schema.json
+// ==========================================================================
+//
+// Unterstützt die Teilmenge von JSON Schema (draft-07), die das Projekt-Schema
+// nutzt: type (auch als Liste), enum, required, properties, items, minItems,
+// minLength, minimum, maximum, pattern und lokale $ref ("#/definitions/...").
+// Läuft im Browser und unter Node (scripts/check-projects.js). Auch für
+// data/user-data.schema.json (Import von Nutzerdaten) verwendet.
+
+const PROJECT_SCHEMA_URL = 'data/project.schema.json';
+
+class ProjectValidator {
+  constructor(schema) {
+    this.schema = schema;
+  }
+
+  // Schema im Browser nachladen
+  static async load(url = PROJECT_SCHEMA_URL) {
+    const response = await fetch(url, { cache: 'no-cache' });
+
+    if (!response.ok) {
+      throw new Error(`Projekt-Schema nicht verfügbar (HTTP ${response.status})`);
+    }
+
+    return new ProjectValidator(await response.json());
+  }
+
+  // Einzelnes Projekt prüfen, liefert [{ path, message }]
+  validateProject(project, path = '') {
+    const errors = [];
+    this.validateNode(project, { $ref: '#/definitions/project' }, path, errors);
+    return errors;
+  }
+
+  // Kompletten Katalog prüfen: Version, Projekte und eindeutige IDs
+  validateCatalog(catalog) {
+    const result = { errors: [], projects: [] };
+
+    if (!catalog || typeof catalog !== 'object' || !Array.isArray(catalog.projects)) {
+      result.errors.push({ path: 'projects', message: 'Liste erforderlich' });
+      return result;
+    }
+
+    this.validateNode(catalog.version, this.schema.properties.version, 'version', result.errors);
+
+    const seenIds = new Set();
+    catalog.projects.forEach((project, index) => {
+      const path = `projects[${index}]`;
+      const errors = this.validateProject(project, path);
+
+      if (project && seenIds.has(project.id)) {
+        errors.push({ path: `${path}.id`, message: `doppelte Projekt-ID ${project.id}` });
+      }
+      if (project) seenIds.add(project.id);
+
+      result.projects.push({ index, id: project?.id, project, errors });
+    });
+
+    return result;
+  }
+
+  validateNode(value, schema, path, errors) {
+    if (schema.$ref) {
+      schema = this.resolveRef(schema.$ref);
+    }
+
+    if (schema.type && !this.matchesType(value, schema.type)) {
+      errors.push({ path: path || '(root)', message: `erwartet ${[].concat(schema.type).join(' oder ')}, gefunden ${this.describeType(value)}` });
+      return;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+      errors.push({ path, message: `muss einer von ${schema.enum.map(v => JSON.stringify(v)).join(', ')} sein` });
+    }
+
+    if (typeof value === 'string') {
+      if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+        errors.push({ path, message: 'darf nicht leer sein' });
+      }
+      if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+        errors.push({ path, message: `ungültiges Format "${value}"` });
+      }
+    }
+
+    if (typeof value === 'number') {
+      if (schema.minimum !== undefined && value < schema.minimum) {
+        errors.push({ path, message: `muss mindestens ${schema.minimum} sein` });
+      }
+      if (schema.maximum !== undefined && value > schema.maximum) {
+        errors.push({ path, message: `darf höchstens ${schema.maximum} sein` });
+      }
+    }
+
+    if (Array.isArray(value)) {
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        errors.push({ path, message: `mindestens ${schema.minItems} Einträge erforderlich` });
+      }
+      if (schema.items) {
+        value.forEach((item, index) => {
+          this.validateNode(item, schema.items, `${path}[${index}]`, errors);
+        });
+      }
+    }
+
+    if (this.describeType(value) === 'object') {
+      const childPath = key => (path ? `${path}.${key}` : key);
+
+      (schema.required || []).forEach(key => {
+        if (value[key] === undefined) {
+          errors.push({ path: childPath(key), message: 'Pflichtfeld fehlt' });
+        }
+      });
+
+      Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+        if (value[key] !== undefined) {
+          this.validateNode(value[key], propertySchema, childPath(key), errors);
+        }
+      });
+    }
+  }
+
+  resolveRef(ref) {
+    const match = /^#\/definitions\/(.+)$/.exec(ref);
+    const definition = match && this.schema.definitions?.[match[1]];
+
+    if (!definition) {
+      throw new Error(`Unbekannte Schema-Referenz: ${ref}`);
+    }
+
+    return definition;
+  }
+
+  matchesType(value, type) {
+    if (Array.isArray(type)) return type.some(item => this.matchesType(value, item));
+
+    const actual = this.describeType(value);
+    if (type === 'number') return actual === 'number' || actual === 'integer';
+    return actual === type;
+  }
+
+  describeType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+  }
+}
+
+// Export für Node (scripts/check-projects.js)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { ProjectValidator };
+}
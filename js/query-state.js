@@ -0,0 +1,54 @@
+// ==========================================================================
+// Query-State: Filter, Suche und Sortierung in der URL
+// ==========================================================================
+//
+// Beispiel: /?category=seasonal&difficulty=1&difficulty=2&sort=rating#portfolio
+// So lassen sich vorgefilterte Ansichten z.B. aus Instagram oder Etsy
+// verlinken. Geschrieben wird per history.replaceState (kein neuer
+// History-Eintrag pro Klick), der Hash für Deep Links bleibt erhalten.
+// Listen stehen als wiederholte Parameter in der URL, damit auch Tags mit
+// Komma ("Rot, Weiß") heil ankommen.
+
+const QUERY_STATE_LIST_KEYS = ['difficulty', 'time', 'cost', 'tags'];
+
+class QueryState {
+  static read(search = window.location.search) {
+    const params = new URLSearchParams(search);
+    const state = {
+      category: params.get('category'),
+      q: params.get('q') || '',
+      sort: params.get('sort')
+    };
+
+    QUERY_STATE_LIST_KEYS.forEach(key => {
+      state[key] = params.getAll(key)
+        .map(value => value.trim())
+        .filter(Boolean);
+    });
+
+    return state;
+  }
+
+  // Nur die übergebenen Schlüssel ändern; leere Werte entfernen den Parameter
+  static update(changes) {
+    const params = new URLSearchParams(window.location.search);
+
+    Object.entries(changes).forEach(([key, value]) => {
+      params.delete(key);
+
+      if (Array.isArray(value)) {
+        value.forEach(item => params.append(key, item));
+      } else if (value) {
+        params.set(key, value);
+      }
+    });
+
+    const query = params.toString();
+    const { pathname, hash } = window.location;
+    const url = `${pathname}${query ? `?${query}` : ''}${hash}`;
+
+    if (url !== `${pathname}${window.location.search}${hash}`) {
+      history.replaceState(history.state, '', url);
+    }
+  }
+}
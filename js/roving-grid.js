@@ -0,0 +1,103 @@
+// ==========================================================================
+// Roving Tabindex für Karten-Raster (Portfolio)
+// ==========================================================================
+//
+// Per Tabulator ist nur eine Karte erreichbar, dazu ihre Buttons. Pfeil
+// links/rechts gehen zur vorigen/nächsten Karte, hoch/runter eine Reihe
+// weiter (Spaltenzahl aus dem Layout), Pos1/Ende zur ersten/letzten Karte.
+// Enter auf der Karte selbst ruft onActivate. Nach jedem Neu-Rendern
+// refresh() aufrufen.
+
+const ROVING_GRID_CONTROLS = 'a[href], button, input, select, textarea, summary';
+
+class RovingGrid {
+  constructor(container, { itemSelector, onActivate = () => {} }) {
+    this.container = container;
+    this.itemSelector = itemSelector;
+    this.onActivate = onActivate;
+    this.activeIndex = 0;
+    this.handleKeydown = this.handleKeydown.bind(this);
+    this.handleFocusin = this.handleFocusin.bind(this);
+
+    container.addEventListener('keydown', this.handleKeydown);
+    container.addEventListener('focusin', this.handleFocusin);
+  }
+
+  get items() {
+    return [...this.container.querySelectorAll(this.itemSelector)];
+  }
+
+  // Karten pro Reihe: alle mit derselben Oberkante wie die erste
+  get columns() {
+    const items = this.items;
+    if (items.length === 0) return 1;
+    return items.filter(item => item.offsetTop === items[0].offsetTop).length;
+  }
+
+  refresh() {
+    const items = this.items;
+    this.activeIndex = Math.min(this.activeIndex, Math.max(items.length - 1, 0));
+    this.update(items);
+  }
+
+  update(items = this.items) {
+    items.forEach((item, index) => {
+      const tabIndex = index === this.activeIndex ? 0 : -1;
+      item.tabIndex = tabIndex;
+      // Buttons inaktiver Karten überspringt der Tabulator ebenfalls
+      item.querySelectorAll(ROVING_GRID_CONTROLS).forEach(element => {
+        element.tabIndex = tabIndex;
+      });
+    });
+  }
+
+  focus(index) {
+    const items = this.items;
+    this.activeIndex = index;
+    this.update(items);
+    items[this.activeIndex].focus();
+  }
+
+  handleFocusin(e) {
+    const index = this.items.indexOf(e.target.closest(this.itemSelector));
+    if (index !== -1 && index !== this.activeIndex) {
+      this.activeIndex = index;
+      this.update();
+    }
+  }
+
+  handleKeydown(e) {
+    const item = e.target.closest(this.itemSelector);
+    if (!item) return;
+
+    if (e.key === 'Enter') {
+      // Enter auf einem Button erledigt der Button selbst
+      if (e.target !== item) return;
+      e.preventDefault();
+      this.onActivate(item);
+      return;
+    }
+
+    const items = this.items;
+    const index = items.indexOf(item);
+    const columns = this.columns;
+    const target = {
+      ArrowLeft: index - 1,
+      ArrowRight: index + 1,
+      ArrowUp: index - columns,
+      ArrowDown: index + columns,
+      Home: 0,
+      End: items.length - 1
+    }[e.key];
+    // Am Rand bleibt die Karte stehen
+    if (target === undefined || target < 0 || target >= items.length) return;
+
+    e.preventDefault();
+    this.focus(target);
+  }
+
+  destroy() {
+    this.container.removeEventListener('keydown', this.handleKeydown);
+    this.container.removeEventListener('focusin', this.handleFocusin);
+  }
+}
@@ -0,0 +1,419 @@
+// ==========================================================================
+// Einkaufsliste: Materialien mehrerer Projekte zusammenfassen
+// ==========================================================================
+//
+// Grundlage sind gemerkte und gestartete (noch nicht fertige) Projekte.
+// Gleiche Materialien und Werkzeuge werden über den normalisierten Namen
+// zusammengelegt ("Schere" aus drei Projekten = eine Zeile). Werkzeuge, die
+// schon vorhanden sind, landen in einer eigenen Liste – auch wenn sie in
+// einem Projekt als Material geführt werden – und zählen nicht zu den Kosten.
+// Preise werden mit js/money.js summiert und über js/currency.js in der
+// gewählten Währung angezeigt.
+
+const OWNED_TOOLS_STORAGE_KEY = 'owned-tools';
+const SHOPPING_LIST_PARAM = 'einkaufsliste';
+
+class ShoppingList {
+  constructor({ getPrice, currency, i18n }) {
+    this.getPrice = getPrice;
+    this.currency = currency;
+    this.i18n = i18n;
+  }
+
+  // { projects, materials, tools: { needed, owned }, total }
+  build(projects, ownedKeys = new Set()) {
+    const materials = new Map();
+    const tools = new Map();
+
+    const addTo = (map, name, project, extra = {}) => {
+      const key = ShoppingList.key(name);
+      if (!map.has(key)) {
+        map.set(key, { key, name, projects: [], amounts: [], price: Money.zero(), note: null });
+      }
+      const item = map.get(key);
+      if (!item.projects.includes(project.title)) item.projects.push(project.title);
+      if (extra.amount) item.amounts.push(extra.amount);
+      if (extra.price) item.price = item.price.add(extra.price);
+      if (extra.note) item.note = extra.note;
+    };
+
+    projects.forEach(project => {
+      project.materials.forEach(material => {
+        if (ownedKeys.has(ShoppingList.key(material.name))) {
+          addTo(tools, material.name, project);
+          return;
+        }
+
+        // "vorhanden"/"kostenlos" aus dem Katalog als Hinweis statt 0,00 €
+        addTo(materials, material.name, project, {
+          amount: material.amount,
+          price: this.getPrice(material),
+          note: material.owned || material.free ? Money.formatMaterial(material) : null
+        });
+      });
+      project.tools.forEach(tool => addTo(tools, tool, project));
+    });
+
+    const byName = (a, b) => a.name.localeCompare(b.name, this.i18n.locale);
+    const materialList = [...materials.values()]
+      .map(item => ({ ...item, amount: ShoppingList.combineAmounts(item.amounts, this.i18n.locale) }))
+      .sort(byName);
+    const toolList = [...tools.values()].sort(byName);
+
+    return {
+      projects,
+      materials: materialList,
+      tools: {
+        needed: toolList.filter(item => !ownedKeys.has(item.key)),
+        owned: toolList.filter(item => ownedKeys.has(item.key))
+      },
+      total: Money.sum(materialList.map(item => item.price))
+    };
+  }
+
+  // Gleiche Einheiten addieren: ["200m", "3m"] → "203m", sonst "1 Bund + 2m"
+  static combineAmounts(amounts, locale = MONEY_LOCALE) {
+    const sums = new Map();
+    const others = [];
+
+    amounts.forEach(amount => {
+      const match = /^(\d+(?:[.,]\d+)?)(\s*)([^\s\d()][^()]*?)?$/.exec(amount.trim());
+      if (!match) {
+        others.push(amount);
+        return;
+      }
+
+      const unit = (match[3] || '').trim();
+      const key = unit.toLowerCase();
+      const value = parseFloat(match[1].replace(',', '.'));
+      const existing = sums.get(key);
+
+      sums.set(key, {
+        value: (existing?.value || 0) + value,
+        unit: existing?.unit ?? unit,
+        separator: existing?.separator ?? match[2]
+      });
+    });
+
+    const summed = [...sums.values()].map(({ value, unit, separator }) => {
+      const number = new Intl.NumberFormat(locale, { maximumFractionDigits: 2, useGrouping: false }).format(value);
+      return unit ? `${number}${separator}${unit}` : number;
+    });
+
+    return [...summed, ...others].join(' + ');
+  }
+
+  static key(name) {
+    return ProjectSearch.normalize(name).trim();
+  }
+
+  formatPrice(price) {
+    return this.currency.format(price);
+  }
+
+  priceLabel(item) {
+    return item.price.isZero() && item.note ? item.note : this.formatPrice(item.price);
+  }
+
+  toText(list) {
+    const t = (key, params) => this.i18n.t(key, params);
+    const lines = [
+      t('shopping.title'),
+      t('shopping.for', { projects: list.projects.map(project => project.title).join(', ') }),
+      '',
+      t('shopping.materials')
+    ];
+
+    list.materials.forEach(item => {
+      lines.push(`☐ ${item.name} – ${item.amount} (${this.priceLabel(item)})`);
+    });
+    lines.push(t('shopping.total', { cost: this.formatPrice(list.total) }));
+    if (this.currency.note()) lines.push(this.currency.note());
+
+    if (list.tools.needed.length > 0) {
+      lines.push('', t('shopping.toolsNeeded'));
+      list.tools.needed.forEach(item => lines.push(`☐ ${item.name}`));
+    }
+
+    if (list.tools.owned.length > 0) {
+      lines.push('', t('shopping.toolsOwnedList', { tools: list.tools.owned.map(item => item.name).join(', ') }));
+    }
+
+    lines.push('', ShoppingList.buildUrl(list.projects.map(project => project.id)));
+    return lines.join('\n');
+  }
+
+  // Druckfassung für ProjectPrintSheet.printHtml()
+  toHtml(list) {
+    const escape = ProjectSearch.escapeHtml;
+    const t = (key, params) => this.i18n.t(key, params);
+    const checklist = items => `
+      <ul class="print-checklist">
+        ${items.map(item => `
+          <li>
+            <span class="print-checkbox" aria-hidden="true"></span>
+            <span class="print-item-name">
+              ${escape(item.name)}${item.amount ? ` <small>(${escape(item.amount)})</small>` : ''}
+              <br><small>${escape(item.projects.join(', '))}</small>
+            </span>
+            ${item.amount !== undefined ? `<span class="print-item-price">${this.priceLabel(item)}</span>` : ''}
+          </li>
+        `).join('')}
+      </ul>
+    `;
+
+    return `
+      <header class="print-header">
+        <h1>${t('shopping.heading')}</h1>
+        <p class="print-meta">${escape(t('shopping.for', { projects: list.projects.map(project => project.title).join(', ') }))}</p>
+      </header>
+      <section>
+        <h2>${t('shopping.materials')}</h2>
+        ${checklist(list.materials)}
+        <p class="print-total"><strong>${t('cost.total', { cost: this.formatPrice(list.total) })}</strong></p>
+        ${this.currency.note() ? `<p class="print-meta">${escape(this.currency.note())}</p>` : ''}
+      </section>
+      ${list.tools.needed.length > 0 ? `
+        <section>
+          <h2>${t('shopping.toolsNeeded')}</h2>
+          ${checklist(list.tools.needed)}
+        </section>
+      ` : ''}
+      ${list.tools.owned.length > 0 ? `
+        <p class="print-meta">${escape(t('shopping.toolsOwnedList', { tools: list.tools.owned.map(item => item.name).join(', ') }))}</p>
+      ` : ''}
+      <footer class="print-footer">${escape(ShoppingList.buildUrl(list.projects.map(project => project.id)))}</footer>
+    `;
+  }
+
+  // Link mit den Projekt-IDs, z.B. ?einkaufsliste=1,3#shopping-list
+  static buildUrl(projectIds) {
+    const url = new URL(window.location.pathname, window.location.origin);
+    url.search = `?${SHOPPING_LIST_PARAM}=${projectIds.join(',')}`;
+    url.hash = 'shopping-list';
+    return url.toString();
+  }
+
+  static readIds(search = window.location.search) {
+    const value = new URLSearchParams(search).get(SHOPPING_LIST_PARAM);
+    if (!value) return null;
+
+    return value.split(',')
+      .map(id => parseInt(id, 10))
+      .filter(id => Number.isInteger(id) && id > 0);
+  }
+}
+
+// Bereich "Einkaufsliste" unterhalb von "Meine Projekte"
+class ShoppingListView {
+  constructor({ list, i18n, storage, motion, printSheet, getProject, getCandidates, onNotify }) {
+    this.list = list;
+    this.i18n = i18n;
+    this.storage = storage;
+    this.motion = motion;
+    this.printSheet = printSheet;
+    this.getProject = getProject;
+    this.getCandidates = getCandidates;
+    this.onNotify = onNotify;
+    this.section = null;
+    this.selected = new Set();
+    this.known = new Set();
+    this.current = null;
+  }
+
+  init() {
+    const anchor = document.getElementById('my-projects') || document.getElementById('portfolio');
+    if (!anchor) return;
+
+    this.section = document.createElement('section');
+    this.section.className = 'shopping-list-section';
+    this.section.id = 'shopping-list';
+    this.section.hidden = true;
+    this.section.setAttribute('aria-labelledby', 'shopping-list-heading');
+    const t = key => this.i18n.t(key);
+    this.section.innerHTML = `
+      <div class="container">
+        <h2 id="shopping-list-heading">${t('shopping.heading')}</h2>
+        <fieldset class="shopping-list-projects">
+          <legend>${t('shopping.projects')}</legend>
+          <div class="shopping-list-project-options"></div>
+        </fieldset>
+        <div class="shopping-list-content" aria-live="polite"></div>
+        <div class="shopping-list-actions">
+          <button type="button" data-action="copy">${t('shopping.copy')}</button>
+          <button type="button" data-action="print">${t('shopping.print')}</button>
+          <button type="button" data-action="share">${t('shopping.share')}</button>
+        </div>
+      </div>
+    `;
+    anchor.parentNode.insertBefore(this.section, anchor.nextSibling);
+
+    // Geteilter Link: genau diese Projekte vorauswählen
+    this.sharedIds = ShoppingList.readIds();
+    this.sharedIds?.forEach(id => this.selected.add(id));
+
+    this.section.addEventListener('change', (e) => {
+      if (e.target.matches('.shopping-list-project')) {
+        const projectId = parseInt(e.target.value, 10);
+        if (e.target.checked) {
+          this.selected.add(projectId);
+        } else {
+          this.selected.delete(projectId);
+        }
+        this.renderList();
+      }
+    });
+
+    this.section.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-action], [data-owned-tool]');
+      if (!button) return;
+
+      if (button.dataset.ownedTool) this.toggleOwnedTool(button.dataset.ownedTool);
+      if (button.dataset.action === 'copy') this.copyText();
+      if (button.dataset.action === 'print') this.print();
+      if (button.dataset.action === 'share') this.share();
+    });
+
+    this.render().then(() => {
+      if (this.sharedIds && !this.section.hidden) {
+        this.section.scrollIntoView({ behavior: this.motion.scrollBehavior });
+      }
+    });
+  }
+
+  getOwnedKeys() {
+    const keys = this.storage.get(OWNED_TOOLS_STORAGE_KEY, []);
+    return new Set(Array.isArray(keys) ? keys : []);
+  }
+
+  toggleOwnedTool(key) {
+    const owned = this.getOwnedKeys();
+    if (owned.has(key)) {
+      owned.delete(key);
+    } else {
+      owned.add(key);
+    }
+    this.storage.set(OWNED_TOOLS_STORAGE_KEY, [...owned]);
+    this.renderList();
+  }
+
+  // Projekte aus Merkliste, "Meine Projekte" und ggf. geteiltem Link
+  async render() {
+    if (!this.section) return;
+
+    const candidates = await this.getCandidates();
+    const ids = [...new Set([...(this.sharedIds || []), ...candidates])]
+      .filter(id => this.getProject(id));
+
+    // Neu hinzugekommene Projekte automatisch auswählen
+    ids.forEach(id => {
+      if (!this.known.has(id) && !this.sharedIds) this.selected.add(id);
+      this.known.add(id);
+    });
+
+    this.section.hidden = ids.length === 0;
+    this.section.querySelector('.shopping-list-project-options').innerHTML = ids.map(id => {
+      const project = this.getProject(id);
+      return `
+        <label>
+          <input type="checkbox" class="shopping-list-project" value="${id}" ${this.selected.has(id) ? 'checked' : ''}>
+          <span>${ProjectMedia.html(project.image, { className: 'media-icon', sizes: '24px', alt: '' })} ${project.title}</span>
+        </label>
+      `;
+    }).join('');
+
+    this.renderList();
+  }
+
+  renderList() {
+    const projects = [...this.selected].map(id => this.getProject(id)).filter(Boolean);
+    const content = this.section.querySelector('.shopping-list-content');
+    const actions = this.section.querySelector('.shopping-list-actions');
+
+    this.current = projects.length > 0 ? this.list.build(projects, this.getOwnedKeys()) : null;
+    actions.hidden = !this.current;
+
+    if (!this.current) {
+      content.innerHTML = `<p class="shopping-list-empty">${this.i18n.t('shopping.empty')}</p>`;
+      return;
+    }
+
+    const { materials, tools, total } = this.current;
+    const t = (key, params) => this.i18n.t(key, params);
+    const toolItem = (item, owned) => `
+      <li>
+        <span>${item.name}</span>
+        <small>${item.projects.join(', ')}</small>
+        <button type="button" class="shopping-tool-toggle" data-owned-tool="${item.key}" aria-pressed="${owned}">
+          ${owned ? t('shopping.toolNeeded') : t('shopping.toolOwned')}
+        </button>
+      </li>
+    `;
+
+    content.innerHTML = `
+      <h3>${t('shopping.materials')}</h3>
+      <ul class="shopping-list-materials">
+        ${materials.map(item => `
+          <li>
+            <span class="shopping-item-name">${item.name}</span>
+            <span class="shopping-item-amount">${item.amount}</span>
+            <small class="shopping-item-projects">${item.projects.join(', ')}</small>
+            <span class="shopping-item-price">${this.list.priceLabel(item)}</span>
+          </li>
+        `).join('')}
+      </ul>
+      <p class="shopping-list-total"><strong>${t('cost.total', { cost: this.list.formatPrice(total) })}</strong></p>
+      ${this.list.currency.noteHtml()}
+
+      ${tools.needed.length > 0 ? `
+        <h3>${t('shopping.toolsNeeded')}</h3>
+        <ul class="shopping-list-tools">${tools.needed.map(item => toolItem(item, false)).join('')}</ul>
+      ` : ''}
+      ${tools.owned.length > 0 ? `
+        <h3>${t('shopping.toolsOwned')}</h3>
+        <ul class="shopping-list-tools is-owned">${tools.owned.map(item => toolItem(item, true)).join('')}</ul>
+      ` : ''}
+    `;
+  }
+
+  async copyText() {
+    if (!this.current) return;
+
+    try {
+      await navigator.clipboard.writeText(this.list.toText(this.current));
+      this.onNotify(this.i18n.t('shopping.copied'));
+    } catch (error) {
+      console.error('Kopieren fehlgeschlagen:', error);
+      this.onNotify(this.i18n.t('shopping.copyFailed'));
+    }
+  }
+
+  print() {
+    if (!this.current) return;
+    this.printSheet.printHtml(this.list.toHtml(this.current));
+  }
+
+  async share() {
+    if (!this.current) return;
+
+    const url = ShoppingList.buildUrl(this.current.projects.map(project => project.id));
+    if (navigator.share) {
+      try {
+        await navigator.share({ title: this.i18n.t('shopping.title'), url });
+        return;
+      } catch (error) {
+        // Schließen des Teilen-Dialogs ist kein Fehler
+        if (error.name === 'AbortError') return;
+        console.warn('Teilen fehlgeschlagen, Link wird kopiert:', error);
+      }
+    }
+
+    try {
+      await navigator.clipboard.writeText(url);
+      this.onNotify(this.i18n.t('notify.linkCopied'));
+    } catch (error) {
+      console.error('Kopieren fehlgeschlagen:', error);
+      this.onNotify(this.i18n.t('notify.copyFailed'));
+    }
+  }
+}
@@ -0,0 +1,357 @@
+// ==========================================================================
+// Geführter Modus: Anleitung Schritt für Schritt im Vollbild
+// ==========================================================================
+//
+// Zeigt immer nur einen Schritt in großer Schrift. Blättern per Buttons,
+// Pfeiltasten oder Wischen; "Erledigt" hakt den Schritt im gestarteten
+// Projekt ab (js/my-projects.js) und springt weiter. Der aktuelle Schritt
+// wird als currentStep gespeichert, damit es dort weitergeht.
+//
+// Aus der Schrittzeit ("45 min") lässt sich ein Timer starten. Er läuft
+// über einen Endzeitpunkt weiter, auch wenn der Tab kurz im Hintergrund war.
+// Solange der Modus offen ist, hält die Wake Lock API den Bildschirm an
+// (wo unterstützt).
+
+const STEP_PLAYER_TICK = 1000;
+
+class StepPlayer {
+  constructor({ store, i18n, videos, formatText = text => text, onNotify, onChange = () => {} }) {
+    this.store = store;
+    this.i18n = i18n;
+    this.videos = videos;
+    this.formatText = formatText;
+    this.onNotify = onNotify;
+    this.onChange = onChange;
+    this.element = null;
+    this.project = null;
+    this.index = 0;
+    this.completed = new Set();
+    this.timer = null;
+    this.wakeLock = null;
+    this.dialog = null;
+    this.detachSwipe = null;
+    this.opening = null;
+  }
+
+  get isOpen() {
+    return this.element !== null;
+  }
+
+  // Während des Öffnens (z.B. Doppelklick) liefern weitere Aufrufe denselben Promise
+  open(project, startIndex = 0) {
+    if (!this.opening) {
+      this.opening = this.openPlayer(project, startIndex).finally(() => {
+        this.opening = null;
+      });
+    }
+    return this.opening;
+  }
+
+  async openPlayer(project, startIndex) {
+    this.close();
+
+    const entry = await this.store.get(project.id).catch(() => null);
+    this.project = project;
+    this.completed = new Set(entry?.completedSteps || []);
+    this.element = this.createElement();
+    document.body.appendChild(this.element);
+
+    this.detachSwipe = SwipeGesture.attach(this.element.querySelector('.step-player-body'), {
+      onPrevious: () => this.show(this.index - 1),
+      onNext: () => this.show(this.index + 1)
+    });
+
+    this.show(Math.min(Math.max(startIndex, 0), project.steps.length - 1));
+    this.dialog = new Dialog(this.element, {
+      labelledBy: 'step-player-title',
+      initialFocus: '.step-player-close',
+      onDismiss: () => this.close(),
+      onKeydown: e => this.handleKeydown(e)
+    });
+    this.dialog.open();
+    this.dialog.listen(document, 'visibilitychange', () => this.handleVisibilityChange());
+    this.requestWakeLock();
+  }
+
+  close() {
+    if (!this.element) return;
+
+    this.stopTimer();
+    this.releaseWakeLock();
+    this.dialog.close();
+    this.detachSwipe();
+    this.element.remove();
+    this.element = null;
+    this.dialog = null;
+    this.project = null;
+  }
+
+  createElement() {
+    const t = (key, params) => this.i18n.t(key, params);
+    const element = document.createElement('div');
+    element.className = 'step-player';
+    element.innerHTML = `
+      <div class="step-player-header">
+        <div>
+          <p class="step-player-project"></p>
+          <p class="step-player-counter" aria-live="polite"></p>
+        </div>
+        <button type="button" class="step-player-close" aria-label="${t('player.close')}">×</button>
+      </div>
+      <div class="step-player-progress" aria-hidden="true">
+        <div class="step-player-progress-bar"></div>
+      </div>
+      <div class="step-player-timer" role="timer" hidden>
+        <span class="step-player-timer-label"></span>
+        <strong class="step-player-timer-time"></strong>
+        <button type="button" class="step-player-timer-toggle">${t('player.timerPause')}</button>
+        <button type="button" class="step-player-timer-stop">${t('player.timerStop')}</button>
+      </div>
+      <div class="step-player-body">
+        <div class="step-player-media"></div>
+        <div class="step-player-video"></div>
+        <h2 id="step-player-title" class="step-player-title"></h2>
+        <p class="step-player-description"></p>
+        <div class="step-tip step-player-tip">
+          <span class="tip-icon">💡</span>
+          <span class="tip-text"></span>
+        </div>
+        <div class="step-player-time">
+          <span class="step-player-duration"></span>
+          <button type="button" class="step-player-timer-start">${t('player.timerStart')}</button>
+        </div>
+      </div>
+      <div class="step-player-footer">
+        <button type="button" class="step-player-prev">${t('player.previous')}</button>
+        <button type="button" class="step-player-done" aria-pressed="false">${t('player.done')}</button>
+        <button type="button" class="step-player-next">${t('player.next')}</button>
+      </div>
+    `;
+
+    element.querySelector('.step-player-project').textContent = this.project.title;
+    element.querySelector('.step-player-close').addEventListener('click', () => this.close());
+    element.querySelector('.step-player-prev').addEventListener('click', () => this.show(this.index - 1));
+    element.querySelector('.step-player-next').addEventListener('click', () => this.show(this.index + 1));
+    element.querySelector('.step-player-done').addEventListener('click', () => this.toggleDone());
+    element.querySelector('.step-player-timer-start').addEventListener('click', () => this.startTimer());
+    element.querySelector('.step-player-timer-toggle').addEventListener('click', () => this.toggleTimer());
+    element.querySelector('.step-player-timer-stop').addEventListener('click', () => this.stopTimer());
+
+    return element;
+  }
+
+  show(index) {
+    const steps = this.project.steps;
+    if (index < 0 || index >= steps.length) return;
+
+    this.index = index;
+    const step = steps[index];
+    const minutes = StepPlayer.parseMinutes(step.time);
+    const element = this.element;
+
+    element.querySelector('.step-player-counter').textContent = this.i18n.t('player.counter', { current: index + 1, total: steps.length });
+    element.querySelector('.step-player-progress-bar').style.width = `${((index + 1) / steps.length) * 100}%`;
+    element.querySelector('.step-player-media').innerHTML = ProjectMedia.html(step.image, {
+      className: 'step-player-image',
+      sizes: '(max-width: 768px) 100vw, 720px',
+      eager: true
+    });
+    this.showVideo(step.video);
+    element.querySelector('.step-player-title').textContent = step.title;
+    element.querySelector('.step-player-description').textContent = this.formatText(step.description);
+    element.querySelector('.step-player-tip').hidden = !step.tips;
+    element.querySelector('.step-player-tip .tip-text').textContent = this.formatText(step.tips);
+    element.querySelector('.step-player-duration').textContent = `⏱️ ${step.time}`;
+    element.querySelector('.step-player-timer-start').hidden = minutes === null;
+    element.querySelector('.step-player-prev').disabled = index === 0;
+    element.querySelector('.step-player-next').disabled = index === steps.length - 1;
+    this.updateDoneButton();
+
+    this.saveCurrentStep(index);
+  }
+
+  // Video des Schritts; das vorige wird mit dem Entfernen angehalten
+  showVideo(video) {
+    const container = this.element.querySelector('.step-player-video');
+    container.replaceChildren();
+    container.hidden = !video;
+    if (!video) return;
+
+    const media = this.videos.createElement(video);
+    container.appendChild(media);
+    if (media.tagName === 'VIDEO' && media.loop && this.videos.shouldAnimate()) {
+      media.play().catch(() => {});
+    }
+  }
+
+  updateDoneButton() {
+    const done = this.completed.has(this.index);
+    const button = this.element.querySelector('.step-player-done');
+    button.setAttribute('aria-pressed', done);
+    button.classList.toggle('is-done', done);
+  }
+
+  async saveCurrentStep(index) {
+    try {
+      await this.store.setCurrentStep(this.project.id, index);
+      this.onChange();
+    } catch (error) {
+      // Nur Komfort – ohne gestartetes Projekt oder Speicher geht es trotzdem weiter
+      console.warn('Aktueller Schritt konnte nicht gespeichert werden:', error);
+    }
+  }
+
+  async toggleDone() {
+    const { project, index } = this;
+    let entry;
+    try {
+      entry = await this.store.toggleStep(project.id, index, project.steps);
+    } catch (error) {
+      console.error('Schritt konnte nicht gespeichert werden:', error);
+      if (!VersionedStorage.isQuotaError(error)) {
+        this.onNotify(this.i18n.t('player.saveFailed'));
+      }
+      return;
+    }
+    if (!entry || this.project !== project) return;
+
+    this.completed = new Set(entry.completedSteps);
+    this.updateDoneButton();
+
+    if (entry.completedAt) {
+      this.onNotify(this.i18n.t('player.allDone'));
+    }
+
+    // toggleStep() setzt currentStep auf den ersten offenen Schritt zurück
+    if (!entry.completedAt && this.completed.has(index) && index < project.steps.length - 1) {
+      this.show(index + 1);
+    } else {
+      this.saveCurrentStep(index);
+    }
+  }
+
+  // Timer für den aktuellen Schritt; ein laufender Timer wird ersetzt
+  startTimer() {
+    const step = this.project.steps[this.index];
+    const minutes = StepPlayer.parseMinutes(step.time);
+    if (minutes === null) return;
+
+    this.stopTimer();
+    this.timer = {
+      title: step.title,
+      endsAt: Date.now() + minutes * 60 * 1000,
+      remaining: null,
+      interval: setInterval(() => this.tick(), STEP_PLAYER_TICK)
+    };
+
+    const bar = this.element.querySelector('.step-player-timer');
+    bar.hidden = false;
+    bar.querySelector('.step-player-timer-label').textContent = this.i18n.t('player.timerFor', { step: step.title });
+    bar.querySelector('.step-player-timer-toggle').textContent = this.i18n.t('player.timerPause');
+    this.tick();
+  }
+
+  toggleTimer() {
+    const timer = this.timer;
+    if (!timer) return;
+
+    if (timer.remaining === null) {
+      timer.remaining = timer.endsAt - Date.now();
+      clearInterval(timer.interval);
+      timer.interval = null;
+    } else {
+      timer.endsAt = Date.now() + timer.remaining;
+      timer.remaining = null;
+      timer.interval = setInterval(() => this.tick(), STEP_PLAYER_TICK);
+    }
+
+    this.element.querySelector('.step-player-timer-toggle').textContent =
+      this.i18n.t(timer.remaining === null ? 'player.timerPause' : 'player.timerResume');
+  }
+
+  stopTimer() {
+    if (!this.timer) return;
+
+    clearInterval(this.timer.interval);
+    this.timer = null;
+    if (this.element) {
+      this.element.querySelector('.step-player-timer').hidden = true;
+    }
+  }
+
+  tick() {
+    const remaining = Math.max(0, this.timer.endsAt - Date.now());
+    this.element.querySelector('.step-player-timer-time').textContent = StepPlayer.formatDuration(remaining);
+
+    if (remaining === 0) {
+      const title = this.timer.title;
+      this.stopTimer();
+      this.onNotify(this.i18n.t('player.timerDone', { step: title }));
+      if (navigator.vibrate) navigator.vibrate([200, 100, 200]);
+    }
+  }
+
+  async requestWakeLock() {
+    if (!('wakeLock' in navigator) || document.visibilityState !== 'visible') return;
+
+    try {
+      this.wakeLock = await navigator.wakeLock.request('screen');
+      this.wakeLock.addEventListener('release', () => {
+        this.wakeLock = null;
+      });
+    } catch (error) {
+      // z.B. Energiesparmodus – der Modus funktioniert auch ohne
+      console.warn('Bildschirm kann nicht wach gehalten werden:', error);
+    }
+  }
+
+  releaseWakeLock() {
+    if (this.wakeLock) {
+      this.wakeLock.release();
+      this.wakeLock = null;
+    }
+  }
+
+  // Der Browser gibt die Sperre beim Tab-Wechsel frei; danach neu anfordern
+  handleVisibilityChange() {
+    if (document.visibilityState === 'visible' && this.isOpen && !this.wakeLock) {
+      this.requestWakeLock();
+    }
+    if (this.timer && this.timer.remaining === null) {
+      this.tick();
+    }
+  }
+
+  // Von Dialog aufgerufen; true = Taste erledigt. Im Video spulen die Pfeile.
+  handleKeydown(e) {
+    if (e.target.closest?.('video')) return false;
+
+    const actions = {
+      ArrowLeft: () => this.show(this.index - 1),
+      ArrowRight: () => this.show(this.index + 1)
+    };
+    const action = actions[e.key];
+    if (!action) return false;
+
+    action();
+    return true;
+  }
+
+  // "45 min" → 45, "1-2 Stunden" → 60 (untere Grenze); ohne Zeit null
+  static parseMinutes(time) {
+    const range = ProjectFacets.parseTimeRange(time);
+    return range && range.min > 0 ? range.min : null;
+  }
+
+  // 90500 ms → "1:31", 3725000 ms → "1:02:05"
+  static formatDuration(milliseconds) {
+    const totalSeconds = Math.ceil(milliseconds / 1000);
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = String(totalSeconds % 60).padStart(2, '0');
+
+    return hours > 0
+      ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}`
+      : `${minutes}:${seconds}`;
+  }
+}
@@ -0,0 +1,183 @@
+// ==========================================================================
+// Schritt-Videos: Videos mit Untertiteln und kurze Clips je Schritt
+// ==========================================================================
+//
+// `steps[].video` ist optional: { title, sources: [{ src, type }],
+// captions?: [{ src, srclang, label }], poster?, loop? }. Mit `loop: true`
+// ist es ein stummer Clip in Endlosschleife (WebM, oder GIF als
+// image/gif), sonst ein Video mit Bedienelementen.
+//
+// Im Anleitungs-Tab steht zuerst nur ein Platzhalter; das Video wird erst
+// eingesetzt, wenn der Schritt sichtbar wird, und pausiert außerhalb.
+// Bei "Bewegung reduzieren" (js/motion-preference.js) laufen Clips nicht
+// von selbst; wird das unterwegs eingeschaltet, halten laufende Clips an.
+//
+// Für offline speichert der Service Worker die Dateien auf Wunsch komplett
+// (Nachricht CACHE_MEDIA) und beantwortet Range-Anfragen daraus.
+
+const STEP_VIDEO_ROOT_MARGIN = '200px';
+
+class StepVideos {
+  constructor({ i18n, motion }) {
+    this.i18n = i18n;
+    this.motion = motion;
+  }
+
+  shouldAnimate() {
+    return !this.motion.reduced;
+  }
+
+  placeholderHtml(video, index) {
+    const poster = video.poster ? `style="background-image: url('${ProjectSearch.escapeHtml(video.poster)}')"` : '';
+    return `
+      <div class="step-video" data-step-video="${index}" ${poster}>
+        <span class="step-video-placeholder">🎬 ${ProjectSearch.escapeHtml(video.title)}</span>
+      </div>
+    `;
+  }
+
+  // Platzhalter unter `root` beobachten; liefert eine Funktion zum Aufräumen
+  observe(root, steps) {
+    const containers = [...root.querySelectorAll('[data-step-video]')];
+    const videoOf = container => steps[parseInt(container.dataset.stepVideo, 10)].video;
+
+    if (!('IntersectionObserver' in window)) {
+      containers.forEach(container => this.mount(container, videoOf(container)));
+      return () => {};
+    }
+
+    const observer = new IntersectionObserver(entries => {
+      entries.forEach(({ target, isIntersecting }) => {
+        let media = target.querySelector('.step-video-media');
+        if (isIntersecting && !media) {
+          media = this.mount(target, videoOf(target));
+        }
+        if (!media || media.tagName !== 'VIDEO') return;
+
+        if (isIntersecting && media.loop && this.shouldAnimate()) {
+          media.play().catch(() => {});
+        } else if (!isIntersecting) {
+          media.pause();
+        }
+      });
+    }, { rootMargin: STEP_VIDEO_ROOT_MARGIN });
+
+    containers.forEach(container => observer.observe(container));
+
+    const unsubscribe = this.motion.subscribe(reduced => {
+      if (!reduced) return;
+      root.querySelectorAll('video.step-video-media[loop]').forEach(video => {
+        video.pause();
+        video.controls = true;
+      });
+    });
+
+    return () => {
+      unsubscribe();
+      observer.disconnect();
+      root.querySelectorAll('video.step-video-media').forEach(video => video.pause());
+    };
+  }
+
+  mount(container, video) {
+    const media = this.createElement(video);
+    container.querySelector('.step-video-placeholder')?.remove();
+    container.style.backgroundImage = '';
+    container.appendChild(media);
+    return media;
+  }
+
+  createElement(video) {
+    const gif = video.sources.find(source => source.type === 'image/gif');
+    if (gif) {
+      const img = document.createElement('img');
+      img.className = 'step-video-media';
+      img.src = gif.src;
+      img.alt = video.title;
+      img.decoding = 'async';
+      return img;
+    }
+
+    const element = document.createElement('video');
+    element.className = 'step-video-media';
+    element.preload = 'metadata';
+    element.playsInline = true;
+    element.setAttribute('aria-label', video.title);
+    if (video.poster) element.poster = video.poster;
+
+    if (video.loop) {
+      element.loop = true;
+      element.muted = true;
+      // Ohne Autoplay braucht es Bedienelemente zum Starten
+      element.controls = !this.shouldAnimate();
+    } else {
+      element.controls = true;
+    }
+
+    video.sources.forEach(({ src, type }) => {
+      const source = document.createElement('source');
+      source.src = src;
+      source.type = type;
+      element.appendChild(source);
+    });
+
+    const captions = video.captions || [];
+    const preferred = captions.find(caption => caption.srclang === this.i18n.language) || captions[0];
+    captions.forEach(caption => {
+      const track = document.createElement('track');
+      track.kind = 'captions';
+      track.src = caption.src;
+      track.srclang = caption.srclang;
+      track.label = caption.label;
+      track.default = caption === preferred;
+      element.appendChild(track);
+    });
+
+    return element;
+  }
+
+  // Abspielbare Quelle, Untertitel und Vorschaubild aller Schritte (absolute URLs)
+  offlineUrls(steps) {
+    const probe = document.createElement('video');
+    const urls = steps.flatMap(({ video }) => {
+      if (!video) return [];
+      const source = video.sources.find(({ type }) => type === 'image/gif' || probe.canPlayType(type)) || video.sources[0];
+      return [source.src, video.poster, ...(video.captions || []).map(caption => caption.src)];
+    });
+
+    return [...new Set(urls.filter(Boolean).map(url => new URL(url, document.baseURI).href))];
+  }
+
+  get canSaveOffline() {
+    return Boolean(navigator.serviceWorker?.controller);
+  }
+
+  // { saved, failed } – Anzahl gespeicherter bzw. fehlgeschlagener Dateien
+  saveOffline(steps) {
+    return StepVideos.postMessage({ type: 'CACHE_MEDIA', urls: this.offlineUrls(steps) });
+  }
+
+  async isSavedOffline(steps) {
+    const urls = this.offlineUrls(steps);
+    const { cached } = await StepVideos.postMessage({ type: 'MEDIA_STATUS', urls });
+    return urls.length > 0 && cached.length === urls.length;
+  }
+
+  static hasVideos(project) {
+    return project.steps.some(step => step.video);
+  }
+
+  // Nachricht an den Service Worker mit Antwort über einen MessageChannel
+  static postMessage(message) {
+    const controller = navigator.serviceWorker?.controller;
+    if (!controller) {
+      return Promise.reject(new Error('Kein aktiver Service Worker'));
+    }
+
+    return new Promise(resolve => {
+      const channel = new MessageChannel();
+      channel.port1.onmessage = event => resolve(event.data);
+      controller.postMessage(message, [channel.port2]);
+    });
+  }
+}
@@ -0,0 +1,180 @@
+// ==========================================================================
+// Versionierter Speicher für Einstellungen (z.B. Sortierung)
+// ==========================================================================
+//
+// Merkliste, Meine Projekte und Notizen liegen in IndexedDB
+// (js/user-data-repository.js); dieser Speicher dient dort als Ersatz.
+//
+// - Schlüssel mit Namespace: "bastelglueck:portfolio-sort"
+// - Schema-Version + Migrationen für ältere Datenformate
+// - Kaputte JSON-Werte werden verworfen statt eine Exception zu werfen
+// - Speicher voll (QuotaExceededError) wird gemeldet, nicht verschluckt
+// - Ist localStorage gesperrt (z.B. Safari Privatmodus), wird in den
+//   Arbeitsspeicher ausgewichen – die Seite funktioniert, vergisst aber
+//   die Daten beim Schließen
+
+const STORAGE_NAMESPACE = 'bastelglueck';
+const STORAGE_SCHEMA_VERSION = 1;
+
+// Migrationen: Index = Zielversion. Jede Migration bekommt den Speicher
+// und hebt die Daten genau eine Version an.
+const STORAGE_MIGRATIONS = {
+  // v1: Schlüssel ohne Namespace aus den ersten Versionen übernehmen
+  1: storage => {
+    const legacyKeys = {
+      'diy-bookmarks': 'bookmarks',
+      'my-projects': 'my-projects',
+      'portfolio-sort': 'portfolio-sort'
+    };
+
+    Object.entries(legacyKeys).forEach(([legacyKey, name]) => {
+      const raw = storage.backend.getItem(legacyKey);
+      if (raw === null) return;
+
+      // portfolio-sort wurde als reiner String gespeichert
+      const value = name === 'portfolio-sort' ? raw : storage.parse(raw, legacyKey);
+      if (value !== undefined && storage.get(name) === undefined) {
+        storage.set(name, value);
+      }
+      storage.backend.removeItem(legacyKey);
+    });
+  }
+};
+
+// Minimaler Ersatz für localStorage (gleiche Schnittstelle)
+class MemoryStorage {
+  constructor() {
+    this.items = new Map();
+  }
+
+  getItem(key) {
+    return this.items.has(key) ? this.items.get(key) : null;
+  }
+
+  setItem(key, value) {
+    this.items.set(key, String(value));
+  }
+
+  removeItem(key) {
+    this.items.delete(key);
+  }
+}
+
+class VersionedStorage {
+  constructor({ namespace = STORAGE_NAMESPACE, version = STORAGE_SCHEMA_VERSION, migrations = STORAGE_MIGRATIONS } = {}) {
+    this.namespace = namespace;
+    this.version = version;
+    this.migrations = migrations;
+    this.backend = VersionedStorage.detectBackend();
+    this.isPersistent = !(this.backend instanceof MemoryStorage);
+    this.onQuotaExceeded = null;
+  }
+
+  // localStorage nur verwenden, wenn Schreiben wirklich klappt
+  static detectBackend() {
+    try {
+      const testKey = `${STORAGE_NAMESPACE}:__test__`;
+      window.localStorage.setItem(testKey, '1');
+      window.localStorage.removeItem(testKey);
+      return window.localStorage;
+    } catch (error) {
+      console.warn('localStorage nicht verfügbar, Daten werden nur im Arbeitsspeicher gehalten:', error);
+      return new MemoryStorage();
+    }
+  }
+
+  static isQuotaError(error) {
+    return error instanceof DOMException && (
+      error.name === 'QuotaExceededError' ||
+      error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+      error.code === 22 ||
+      error.code === 1014
+    );
+  }
+
+  key(name) {
+    return `${this.namespace}:${name}`;
+  }
+
+  // Migrationen von der gespeicherten bis zur aktuellen Version ausführen
+  migrate() {
+    const versionKey = this.key('schema-version');
+    let current = parseInt(this.backend.getItem(versionKey), 10) || 0;
+
+    while (current < this.version) {
+      const target = current + 1;
+      try {
+        this.migrations[target]?.(this);
+      } catch (error) {
+        console.error(`Speicher-Migration auf Version ${target} fehlgeschlagen:`, error);
+        return;
+      }
+      current = target;
+      // Speicher voll: beim nächsten Start erneut versuchen
+      if (!this.setRaw('schema-version', String(current))) return;
+    }
+  }
+
+  parse(raw, label) {
+    try {
+      return JSON.parse(raw);
+    } catch (error) {
+      console.warn(`Gespeicherter Wert "${label}" ist beschädigt und wird verworfen:`, error);
+      return undefined;
+    }
+  }
+
+  get(name, fallback = undefined) {
+    const raw = this.backend.getItem(this.key(name));
+    if (raw === null) return fallback;
+
+    const value = this.parse(raw, this.key(name));
+    if (value === undefined) {
+      this.backend.removeItem(this.key(name));
+      return fallback;
+    }
+
+    return value;
+  }
+
+  // Gibt false zurück, wenn nicht gespeichert werden konnte
+  set(name, value) {
+    return this.setRaw(name, JSON.stringify(value));
+  }
+
+  setRaw(name, raw) {
+    try {
+      this.backend.setItem(this.key(name), raw);
+      return true;
+    } catch (error) {
+      if (VersionedStorage.isQuotaError(error)) {
+        console.warn(`Speicher voll, "${name}" konnte nicht gesichert werden`);
+        this.onQuotaExceeded?.(name);
+        return false;
+      }
+
+      // z.B. SecurityError, wenn der Speicher nachträglich gesperrt wurde
+      console.warn('localStorage nicht mehr beschreibbar, wechsle in den Arbeitsspeicher:', error);
+      this.backend = new MemoryStorage();
+      this.isPersistent = false;
+      this.backend.setItem(this.key(name), raw);
+      return true;
+    }
+  }
+
+  remove(name) {
+    this.backend.removeItem(this.key(name));
+  }
+
+  // Änderungen aus anderen Tabs (nur bei echtem localStorage möglich)
+  subscribe(name, listener) {
+    const handler = (e) => {
+      if (e.key === this.key(name) || e.key === null) {
+        listener(this.get(name));
+      }
+    };
+
+    window.addEventListener('storage', handler);
+    return () => window.removeEventListener('storage', handler);
+  }
+}
@@ -0,0 +1,45 @@
+// ==========================================================================
+// Wischgesten: links/rechts wischen für Lightbox und Schritt-Player
+// ==========================================================================
+
+const SWIPE_THRESHOLD = 50;
+
+class SwipeGesture {
+  // Liefert eine Funktion, die die Listener wieder entfernt
+  static attach(element, { onPrevious, onNext, isEnabled = () => true }) {
+    let start = null;
+
+    const onStart = (e) => {
+      if (e.touches.length !== 1 || !isEnabled()) {
+        start = null;
+        return;
+      }
+      start = { x: e.touches[0].clientX, y: e.touches[0].clientY };
+    };
+
+    const onEnd = (e) => {
+      if (!start) return;
+
+      const deltaX = e.changedTouches[0].clientX - start.x;
+      const deltaY = e.changedTouches[0].clientY - start.y;
+      start = null;
+
+      // Nur waagerechte Gesten; senkrecht wird gescrollt
+      if (Math.abs(deltaX) < SWIPE_THRESHOLD || Math.abs(deltaX) < Math.abs(deltaY)) return;
+
+      if (deltaX > 0) {
+        onPrevious();
+      } else {
+        onNext();
+      }
+    };
+
+    element.addEventListener('touchstart', onStart, { passive: true });
+    element.addEventListener('touchend', onEnd, { passive: true });
+
+    return () => {
+      element.removeEventListener('touchstart', onStart);
+      element.removeEventListener('touchend', onEnd);
+    };
+  }
+}
@@ -0,0 +1,83 @@
+// ==========================================================================
+// Tabs nach WAI-ARIA: Tablist mit Pfeiltasten und Roving Tabindex
+// ==========================================================================
+//
+// Erwartet Elemente mit role="tab" in der Tablist. Pfeil links/rechts, Pos1
+// und Ende wechseln den Tab; per Tabulator erreichbar ist nur der gewählte
+// Tab. Mit `panels` wird das Panel aus aria-controls ein- und ausgeblendet
+// (jeder Tab hat sein eigenes Panel).
+
+class Tabs {
+  constructor(tablist, { onSelect = () => {}, panels = true } = {}) {
+    this.tablist = tablist;
+    this.onSelect = onSelect;
+    this.panels = panels;
+    this.handleClick = this.handleClick.bind(this);
+    this.handleKeydown = this.handleKeydown.bind(this);
+
+    tablist.setAttribute('role', 'tablist');
+    tablist.addEventListener('click', this.handleClick);
+    tablist.addEventListener('keydown', this.handleKeydown);
+    this.update(this.selected || this.tabs[0]);
+  }
+
+  // Neu hinzugefügte Tabs (z.B. "Gemerkt") gehören automatisch dazu
+  get tabs() {
+    return [...this.tablist.querySelectorAll('[role="tab"]')].filter(tab => !tab.hidden);
+  }
+
+  get selected() {
+    return this.tabs.find(tab => tab.getAttribute('aria-selected') === 'true') || null;
+  }
+
+  find(predicate) {
+    return this.tabs.find(predicate) || null;
+  }
+
+  select(tab, { focus = false } = {}) {
+    if (!tab) return;
+
+    const changed = tab !== this.selected;
+    this.update(tab);
+    if (focus) tab.focus();
+    if (changed) this.onSelect(tab);
+  }
+
+  // Zustand setzen, ohne onSelect aufzurufen
+  update(selectedTab) {
+    this.tabs.forEach(tab => {
+      const selected = tab === selectedTab;
+      tab.setAttribute('aria-selected', selected ? 'true' : 'false');
+      tab.tabIndex = selected ? 0 : -1;
+      tab.classList.toggle('active', selected);
+
+      const panel = this.panels && document.getElementById(tab.getAttribute('aria-controls'));
+      if (panel) {
+        panel.hidden = !selected;
+        panel.classList.toggle('active', selected);
+      }
+    });
+  }
+
+  handleClick(e) {
+    const tab = e.target.closest('[role="tab"]');
+    if (tab && this.tablist.contains(tab)) this.select(tab);
+  }
+
+  handleKeydown(e) {
+    const tabs = this.tabs;
+    const index = tabs.indexOf(e.target.closest('[role="tab"]'));
+    if (index === -1) return;
+
+    const target = { ArrowLeft: index - 1, ArrowRight: index + 1, Home: 0, End: tabs.length - 1 }[e.key];
+    if (target === undefined) return;
+
+    e.preventDefault();
+    this.select(tabs[(target + tabs.length) % tabs.length], { focus: true });
+  }
+
+  destroy() {
+    this.tablist.removeEventListener('click', this.handleClick);
+    this.tablist.removeEventListener('keydown', this.handleKeydown);
+  }
+}
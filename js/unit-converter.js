@@ -0,0 +1,71 @@
+// ==========================================================================
+// Maßeinheiten: metrische Angaben bei Bedarf in Zoll, Yard & Co. anzeigen
+// ==========================================================================
+//
+// Die Projektdaten bleiben metrisch. Gefunden werden Zahlen (auch Spannen
+// wie "2-3 cm") mit direkt folgender Einheit, z.B. "200m", "1 Stück (80cm)"
+// oder "Stränge à 2,5m"; "15 min" oder "16 mal" sind keine Maße. Die Wahl
+// (metrisch/imperial) wird im Speicher gemerkt.
+
+const UNIT_SYSTEM_STORAGE_KEY = 'unit-system';
+const UNIT_SYSTEMS = ['metric', 'imperial'];
+
+// Metrische Einheit → imperiale Einheit und Umrechnungsfaktor
+const UNIT_CONVERSIONS = {
+  mm: { unit: 'in', factor: 1 / 25.4 },
+  cm: { unit: 'in', factor: 1 / 2.54 },
+  m: { unit: 'yd', factor: 1.09361 },
+  km: { unit: 'mi', factor: 0.621371 },
+  ml: { unit: 'fl oz', factor: 0.033814 },
+  l: { unit: 'qt', factor: 1.05669 },
+  g: { unit: 'oz', factor: 0.035274 },
+  kg: { unit: 'lb', factor: 2.20462 }
+};
+
+const UNIT_PATTERN = /(\d+(?:[.,]\d+)?)(?:\s*[-–]\s*(\d+(?:[.,]\d+)?))?\s?(mm|cm|km|ml|kg|m|l|g)(?!\p{L})/gu;
+
+class UnitConverter {
+  constructor({ storage }) {
+    this.storage = storage;
+    const saved = storage.get(UNIT_SYSTEM_STORAGE_KEY);
+    this.system = UNIT_SYSTEMS.includes(saved) ? saved : 'metric';
+  }
+
+  setSystem(system) {
+    if (!UNIT_SYSTEMS.includes(system)) return;
+    this.system = system;
+    this.storage.set(UNIT_SYSTEM_STORAGE_KEY, system);
+  }
+
+  // Text im gewählten System, z.B. "1 Stück (80cm)" → "1 Stück (31,5 in)"
+  format(text, locale) {
+    return this.system === 'imperial' ? UnitConverter.toImperial(text, locale) : text;
+  }
+
+  // Alle Maße im Text: [{ text, index, value, max, unit }]
+  static parse(text) {
+    return [...String(text).matchAll(UNIT_PATTERN)].map(match => ({
+      text: match[0],
+      index: match.index,
+      value: UnitConverter.toNumber(match[1]),
+      max: match[2] ? UnitConverter.toNumber(match[2]) : null,
+      unit: match[3]
+    }));
+  }
+
+  static toImperial(text, locale = 'de-DE') {
+    const number = new Intl.NumberFormat(locale, { maximumFractionDigits: 1 });
+
+    return String(text).replace(UNIT_PATTERN, (match, value, max, unit) => {
+      const { unit: target, factor } = UNIT_CONVERSIONS[unit];
+      const converted = number.format(UnitConverter.toNumber(value) * factor);
+      const convertedMax = max ? `–${number.format(UnitConverter.toNumber(max) * factor)}` : '';
+
+      return `${converted}${convertedMax} ${target}`;
+    });
+  }
+
+  static toNumber(value) {
+    return parseFloat(value.replace(',', '.'));
+  }
+}
@@ -0,0 +1,327 @@
+// ==========================================================================
+// Nutzerdaten-Repository: Merkliste, gestartete Projekte und Notizen
+// ==========================================================================
+//
+// Speichert in IndexedDB (asynchron, kein Blockieren des Main-Threads, kein
+// 5-MB-Limit wie bei localStorage). Ohne IndexedDB wird auf den versionierten
+// Speicher aus js/storage.js ausgewichen. Beim ersten Start werden die alten
+// localStorage-Daten einmalig übernommen (Fortschritt über js/my-projects.js).
+//
+// Tabellen (Schlüssel jeweils die Projekt-ID `id`):
+//   bookmarks: { id, createdAt }
+//   projects:  { id, title, image, steps: [{ title, time }], startedAt,
+//                completedSteps, currentStep, progress, completedAt }
+//   notes:     { id, text, updatedAt }
+//   meta:      { key, ... }
+
+const USER_DATA_DB_NAME = 'bastelglueck-user-data';
+const USER_DATA_DB_VERSION = 1;
+const USER_DATA_CHANNEL = 'bastelglueck-user-data';
+const USER_DATA_STORES = ['bookmarks', 'projects', 'notes'];
+
+// IndexedDB mit Promise-Schnittstelle
+class IndexedDbTables {
+  constructor(db) {
+    this.db = db;
+  }
+
+  static open() {
+    return new Promise((resolve, reject) => {
+      if (!('indexedDB' in window)) {
+        reject(new Error('IndexedDB nicht verfügbar'));
+        return;
+      }
+
+      const request = indexedDB.open(USER_DATA_DB_NAME, USER_DATA_DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        USER_DATA_STORES.forEach(name => {
+          if (!db.objectStoreNames.contains(name)) {
+            db.createObjectStore(name, { keyPath: 'id' });
+          }
+        });
+        if (!db.objectStoreNames.contains('meta')) {
+          db.createObjectStore('meta', { keyPath: 'key' });
+        }
+      };
+
+      request.onsuccess = () => resolve(new IndexedDbTables(request.result));
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => reject(new Error('IndexedDB ist durch einen anderen Tab blockiert'));
+    });
+  }
+
+  // Eine Operation in eigener Transaktion ausführen; Schreibzugriffe gelten
+  // erst nach `complete` als gespeichert
+  run(storeName, mode, operation) {
+    const transaction = this.db.transaction(storeName, mode);
+    const done = new Promise((resolve, reject) => {
+      transaction.oncomplete = resolve;
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+    const request = operation(transaction.objectStore(storeName));
+    const result = new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+
+    return Promise.all([result, done]).then(([value]) => value);
+  }
+
+  getAll(storeName) {
+    return this.run(storeName, 'readonly', store => store.getAll());
+  }
+
+  get(storeName, key) {
+    return this.run(storeName, 'readonly', store => store.get(key)).then(value => value || null);
+  }
+
+  put(storeName, value) {
+    return this.run(storeName, 'readwrite', store => store.put(value));
+  }
+
+  delete(storeName, key) {
+    return this.run(storeName, 'readwrite', store => store.delete(key));
+  }
+}
+
+// Ersatz ohne IndexedDB: je Tabelle ein Array im versionierten Speicher
+class StorageTables {
+  constructor(storage) {
+    this.storage = storage;
+  }
+
+  keyField(storeName) {
+    return storeName === 'meta' ? 'key' : 'id';
+  }
+
+  async getAll(storeName) {
+    const rows = this.storage.get(`user-data:${storeName}`, []);
+    return Array.isArray(rows) ? rows : [];
+  }
+
+  async get(storeName, key) {
+    const field = this.keyField(storeName);
+    return (await this.getAll(storeName)).find(row => row[field] === key) || null;
+  }
+
+  async put(storeName, value) {
+    const field = this.keyField(storeName);
+    const rows = (await this.getAll(storeName)).filter(row => row[field] !== value[field]);
+    rows.push(value);
+    this.write(storeName, rows);
+  }
+
+  async delete(storeName, key) {
+    const field = this.keyField(storeName);
+    this.write(storeName, (await this.getAll(storeName)).filter(row => row[field] !== key));
+  }
+
+  write(storeName, rows) {
+    if (!this.storage.set(`user-data:${storeName}`, rows)) {
+      throw new DOMException('Speicher voll', 'QuotaExceededError');
+    }
+  }
+}
+
+class UserDataRepository {
+  constructor(storage) {
+    this.storage = storage;
+    this.tablesPromise = null;
+    this.remoteListeners = new Set();
+
+    // IndexedDB kennt kein `storage`-Event: andere Tabs per BroadcastChannel informieren
+    this.channel = 'BroadcastChannel' in window ? new BroadcastChannel(USER_DATA_CHANNEL) : null;
+    this.channel?.addEventListener('message', (e) => {
+      this.remoteListeners.forEach(listener => listener(e.data.store));
+    });
+  }
+
+  ready() {
+    if (!this.tablesPromise) {
+      this.tablesPromise = IndexedDbTables.open()
+        .catch(error => {
+          console.warn('IndexedDB nicht nutzbar, verwende localStorage:', error);
+          return new StorageTables(this.storage);
+        })
+        .then(async tables => {
+          await this.importLegacyData(tables);
+          return tables;
+        });
+    }
+
+    return this.tablesPromise;
+  }
+
+  // Listener für Änderungen aus anderen Tabs: listener(storeName)
+  onRemoteChange(listener) {
+    this.remoteListeners.add(listener);
+    return () => this.remoteListeners.delete(listener);
+  }
+
+  async write(storeName, operation) {
+    const tables = await this.ready();
+
+    try {
+      await operation(tables);
+    } catch (error) {
+      if (VersionedStorage.isQuotaError(error)) {
+        this.storage.onQuotaExceeded?.(storeName);
+      }
+      throw error;
+    }
+
+    this.channel?.postMessage({ store: storeName });
+  }
+
+  // --- Merkliste ----------------------------------------------------------
+
+  async getBookmarks() {
+    const rows = await (await this.ready()).getAll('bookmarks');
+    return rows
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+      .map(row => row.id);
+  }
+
+  // Gibt zurück, ob das Projekt danach gemerkt ist
+  async toggleBookmark(projectId) {
+    const existing = await (await this.ready()).get('bookmarks', projectId);
+
+    await this.write('bookmarks', tables => existing
+      ? tables.delete('bookmarks', projectId)
+      : tables.put('bookmarks', { id: projectId, createdAt: new Date().toISOString() }));
+
+    return !existing;
+  }
+
+  // --- Gestartete Projekte --------------------------------------------------
+
+  async getStartedProjects() {
+    const rows = await (await this.ready()).getAll('projects');
+    return rows.sort((a, b) => a.startedAt.localeCompare(b.startedAt));
+  }
+
+  async getStartedProject(projectId) {
+    return (await this.ready()).get('projects', projectId);
+  }
+
+  saveStartedProject(entry) {
+    return this.write('projects', tables => tables.put('projects', entry));
+  }
+
+  deleteStartedProject(projectId) {
+    return this.write('projects', tables => tables.delete('projects', projectId));
+  }
+
+  // --- Notizen --------------------------------------------------------------
+
+  async getNotes() {
+    return (await this.ready()).getAll('notes');
+  }
+
+  // Leere Notizen werden gelöscht statt gespeichert
+  saveNote(projectId, text) {
+    return this.write('notes', tables => text.trim()
+      ? tables.put('notes', { id: projectId, text, updatedAt: new Date().toISOString() })
+      : tables.delete('notes', projectId));
+  }
+
+  // --- Export / Import (js/user-data-transfer.js) ---------------------------
+
+  async exportAll() {
+    const tables = await this.ready();
+    const [bookmarks, projects, notes] = await Promise.all(
+      USER_DATA_STORES.map(name => tables.getAll(name))
+    );
+    return { bookmarks, projects, notes };
+  }
+
+  // rows: { bookmarks: [...], projects: [...], notes: [...] }, vorhandene IDs werden überschrieben
+  async importRows(rows) {
+    for (const name of USER_DATA_STORES) {
+      if (!rows[name]?.length) continue;
+
+      await this.write(name, async tables => {
+        for (const row of rows[name]) {
+          await tables.put(name, row);
+        }
+      });
+    }
+  }
+
+  // --- Einmalige Übernahme aus localStorage ----------------------------------
+
+  async importLegacyData(tables) {
+    const bookmarks = this.storage.get('bookmarks', []);
+    const projects = this.storage.get('my-projects', []);
+
+    try {
+      if (await tables.get('meta', 'legacy-import')) return;
+
+      for (const id of Array.isArray(bookmarks) ? bookmarks : []) {
+        await tables.put('bookmarks', { id, createdAt: new Date().toISOString() });
+      }
+
+      for (const entry of UserDataRepository.mergeLegacyProjects(Array.isArray(projects) ? projects : [])) {
+        await tables.put('projects', entry);
+      }
+
+      await tables.put('meta', { key: 'legacy-import', importedAt: new Date().toISOString() });
+    } catch (error) {
+      // Alte Daten behalten, beim nächsten Laden erneut versuchen
+      console.error('Übernahme der gespeicherten Daten fehlgeschlagen:', error);
+      return;
+    }
+
+    this.storage.remove('bookmarks');
+    this.storage.remove('my-projects');
+  }
+
+  // Alte Einträge waren vollständige Projektkopien, teils mehrfach pro Projekt.
+  // Pro ID den frühesten Start behalten, abgehakte Schritte vereinen, schlank speichern.
+  static mergeLegacyProjects(entries) {
+    const byId = new Map();
+
+    entries.forEach(entry => {
+      if (!entry || entry.id === undefined) return;
+
+      const slim = UserDataRepository.toProjectRecord(entry, entry);
+      const existing = byId.get(slim.id);
+
+      if (!existing) {
+        byId.set(slim.id, slim);
+        return;
+      }
+
+      const [first, second] = existing.startedAt <= slim.startedAt ? [existing, slim] : [slim, existing];
+      const merged = {
+        ...first,
+        image: first.image || second.image,
+        steps: first.steps.length > 0 ? first.steps : second.steps,
+        completedSteps: [...new Set([...existing.completedSteps, ...slim.completedSteps])].sort((a, b) => a - b),
+        completedAt: existing.completedAt || slim.completedAt
+      };
+      // Vereinte Schritte ergeben einen neuen Fortschritt (wie MyProjectsStore.update)
+      byId.set(slim.id, MyProjectsStore.applyProgress(merged, merged.steps));
+    });
+
+    return [...byId.values()];
+  }
+
+  // Nur die Felder, die "Meine Projekte" ohne Katalog zum Anzeigen braucht
+  static toProjectRecord(project, state = {}) {
+    return {
+      id: project.id,
+      title: project.title,
+      image: project.image,
+      steps: (project.steps || []).map(step => ({ title: step.title, time: step.time })),
+      startedAt: state.startedAt || new Date().toISOString(),
+      completedSteps: Array.isArray(state.completedSteps) ? state.completedSteps : [],
+      currentStep: state.currentStep || 0,
+      progress: state.progress || 0,
+      completedAt: state.completedAt || null
+    };
+  }
+}
@@ -0,0 +1,387 @@
+// ==========================================================================
+// Daten exportieren / importieren: Nutzerdaten auf ein anderes Gerät umziehen
+// ==========================================================================
+//
+// Export: alle Tabellen aus js/user-data-repository.js als versionierte
+// JSON-Datei. Import: Datei gegen data/user-data.schema.json prüfen, mit den
+// lokalen Daten vergleichen und erst nach Bestätigung der Vorschau schreiben.
+// Gestartete Projekte müssen im Katalog stehen; Titel und Schritte kommen von
+// dort, aus der Datei nur der Fortschritt.
+// Bei Konflikten (z.B. gleiches Projekt auf beiden Geräten unterschiedlich
+// weit) wird pro Eintrag gewählt, welcher Stand gilt.
+
+const USER_DATA_EXPORT_FORMAT = 'bastelglueck-user-data';
+const USER_DATA_EXPORT_VERSION = 1;
+const USER_DATA_SCHEMA_URL = 'data/user-data.schema.json';
+
+class UserDataTransfer {
+  constructor(repository, { i18n, getProject }) {
+    this.repository = repository;
+    this.i18n = i18n;
+    this.getProject = getProject;
+  }
+
+  async createExport() {
+    return {
+      format: USER_DATA_EXPORT_FORMAT,
+      version: USER_DATA_EXPORT_VERSION,
+      exportedAt: new Date().toISOString(),
+      data: await this.repository.exportAll()
+    };
+  }
+
+  async download() {
+    const file = await this.createExport();
+    const blob = new Blob([JSON.stringify(file, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `bastelglueck-daten-${file.exportedAt.slice(0, 10)}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  // Datei einlesen und prüfen; Fehler enthalten eine lesbare Meldung und `details`
+  async readFile(file) {
+    let json;
+    try {
+      json = JSON.parse(await file.text());
+    } catch (error) {
+      throw new Error(this.i18n.t('userData.invalidJson'));
+    }
+
+    const errors = await this.validate(json);
+    if (errors.length > 0) {
+      const error = new Error(this.i18n.t('userData.invalidData'));
+      error.details = errors;
+      throw error;
+    }
+
+    return json;
+  }
+
+  // Liefert [{ path, message }] wie der ProjectValidator
+  async validate(json) {
+    if (json?.format !== USER_DATA_EXPORT_FORMAT) {
+      return [{ path: 'format', message: this.i18n.t('userData.wrongFormat') }];
+    }
+    if (typeof json.version === 'number' && json.version > USER_DATA_EXPORT_VERSION) {
+      return [{ path: 'version', message: this.i18n.t('userData.newerVersion') }];
+    }
+
+    const validator = await ProjectValidator.load(USER_DATA_SCHEMA_URL);
+    const errors = [];
+    validator.validateNode(json, validator.schema, '', errors);
+    if (errors.length > 0) return errors;
+
+    USER_DATA_STORES.forEach(name => {
+      const seenIds = new Set();
+      json.data[name].forEach((row, index) => {
+        if (seenIds.has(row.id)) {
+          errors.push({ path: `data.${name}[${index}].id`, message: this.i18n.t('userData.duplicateId', { id: row.id }) });
+        }
+        seenIds.add(row.id);
+      });
+    });
+
+    // Gestartete Projekte übernehmen Titel und Schritte aus dem Katalog (fromCatalog)
+    json.data.projects.forEach((row, index) => {
+      if (!this.getProject(row.id)) {
+        errors.push({ path: `data.projects[${index}].id`, message: this.i18n.t('userData.unknownProject', { id: row.id }) });
+      }
+    });
+
+    return errors;
+  }
+
+  // Vergleich mit den lokalen Daten:
+  // { added: { bookmarks, projects, notes }, unchanged, conflicts: [{ key, store, id, local, imported, preferred }] }
+  async preview(file) {
+    const local = await this.repository.exportAll();
+    const preview = {
+      added: { bookmarks: [], projects: [], notes: [] },
+      unchanged: 0,
+      conflicts: []
+    };
+
+    USER_DATA_STORES.forEach(name => {
+      const localById = new Map(local[name].map(row => [row.id, row]));
+      const rows = this.importedRows(file, name);
+
+      rows.forEach(row => {
+        const existing = localById.get(row.id);
+
+        if (!existing) {
+          preview.added[name].push(row);
+        } else if (name === 'bookmarks' || !this.differs(name, existing, row)) {
+          preview.unchanged++;
+        } else {
+          preview.conflicts.push({
+            key: `${name}:${row.id}`,
+            store: name,
+            id: row.id,
+            local: existing,
+            imported: row,
+            preferred: this.preferImported(name, existing, row) ? 'imported' : 'local'
+          });
+        }
+      });
+    });
+
+    return preview;
+  }
+
+  importedRows(file, name) {
+    // Leere Notizen gibt es nicht (saveNote löscht sie), also überspringen
+    if (name === 'notes') return file.data.notes.filter(note => note.text.trim());
+    if (name === 'projects') return file.data.projects.map(row => this.fromCatalog(row));
+    return file.data[name];
+  }
+
+  // Titel, Bild und Schritte aus dem Katalog, aus der Datei nur der Fortschritt
+  fromCatalog(row) {
+    const entry = UserDataRepository.toProjectRecord(this.getProject(row.id), row);
+    entry.completedSteps = entry.completedSteps.filter(index => index < entry.steps.length);
+    return MyProjectsStore.applyProgress(entry, entry.steps);
+  }
+
+  differs(name, local, imported) {
+    if (name === 'notes') return local.text !== imported.text;
+
+    return local.currentStep !== imported.currentStep ||
+      local.completedAt !== imported.completedAt ||
+      local.completedSteps.join() !== imported.completedSteps.join();
+  }
+
+  // Vorauswahl: beim Fortschritt der weitere Stand, bei Notizen die neuere
+  preferImported(name, local, imported) {
+    if (name === 'notes') return imported.updatedAt > local.updatedAt;
+    return imported.progress > local.progress;
+  }
+
+  hasChanges(preview) {
+    return preview.conflicts.length > 0 ||
+      USER_DATA_STORES.some(name => preview.added[name].length > 0);
+  }
+
+  // choices: Map key → 'local' | 'imported' (fehlt ein Eintrag, gilt die Vorauswahl)
+  async apply(preview, choices = new Map()) {
+    const rows = {
+      bookmarks: [...preview.added.bookmarks],
+      projects: [...preview.added.projects],
+      notes: [...preview.added.notes]
+    };
+
+    preview.conflicts.forEach(conflict => {
+      if ((choices.get(conflict.key) || conflict.preferred) === 'imported') {
+        rows[conflict.store].push(conflict.imported);
+      }
+    });
+
+    await this.repository.importRows(rows);
+    return rows;
+  }
+}
+
+// Export-/Import-Bereich unterhalb von "Meine Projekte"
+class UserDataTransferView {
+  constructor({ transfer, i18n, getProject, onImported, onNotify }) {
+    this.transfer = transfer;
+    this.i18n = i18n;
+    this.getProject = getProject;
+    this.onImported = onImported;
+    this.onNotify = onNotify;
+    this.section = null;
+    this.pendingPreview = null;
+  }
+
+  init() {
+    const anchor = document.getElementById('shopping-list') ||
+      document.getElementById('my-projects') ||
+      document.getElementById('portfolio');
+    if (!anchor) return;
+
+    this.section = document.createElement('section');
+    this.section.className = 'user-data-section';
+    this.section.id = 'user-data';
+    this.section.setAttribute('aria-labelledby', 'user-data-heading');
+    const t = key => this.i18n.t(key);
+    this.section.innerHTML = `
+      <div class="container">
+        <h2 id="user-data-heading">${t('userData.heading')}</h2>
+        <p class="user-data-hint">${t('userData.hint')}</p>
+        <div class="user-data-actions">
+          <button type="button" data-action="export">${t('userData.export')}</button>
+          <button type="button" data-action="import">${t('userData.import')}</button>
+          <input type="file" class="user-data-file" accept="application/json,.json" hidden>
+        </div>
+        <div class="user-data-preview" aria-live="polite"></div>
+      </div>
+    `;
+    anchor.parentNode.insertBefore(this.section, anchor.nextSibling);
+
+    this.fileInput = this.section.querySelector('.user-data-file');
+    this.previewContainer = this.section.querySelector('.user-data-preview');
+
+    this.section.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-action]');
+      if (!button) return;
+
+      if (button.dataset.action === 'export') this.export();
+      if (button.dataset.action === 'import') this.fileInput.click();
+      if (button.dataset.action === 'apply') this.apply();
+      if (button.dataset.action === 'cancel') this.reset();
+    });
+
+    this.fileInput.addEventListener('change', () => {
+      const [file] = this.fileInput.files;
+      if (file) this.import(file);
+      // Gleiche Datei erneut wählen können
+      this.fileInput.value = '';
+    });
+  }
+
+  async export() {
+    try {
+      await this.transfer.download();
+      this.onNotify(this.i18n.t('userData.exported'));
+    } catch (error) {
+      console.error('Export fehlgeschlagen:', error);
+      this.onNotify(this.i18n.t('userData.exportFailed'));
+    }
+  }
+
+  async import(file) {
+    let preview;
+    try {
+      const data = await this.transfer.readFile(file);
+      preview = await this.transfer.preview(data);
+    } catch (error) {
+      console.warn('Import abgelehnt:', error, error.details || '');
+      this.renderError(error);
+      return;
+    }
+
+    if (!this.transfer.hasChanges(preview)) {
+      this.reset();
+      this.onNotify(this.i18n.t('userData.nothingNew'));
+      return;
+    }
+
+    this.pendingPreview = preview;
+    this.renderPreview(preview);
+  }
+
+  async apply() {
+    if (!this.pendingPreview) return;
+
+    const choices = new Map();
+    this.previewContainer.querySelectorAll('.user-data-conflict input:checked').forEach(input => {
+      choices.set(input.name, input.value);
+    });
+
+    try {
+      await this.transfer.apply(this.pendingPreview, choices);
+    } catch (error) {
+      console.error('Import fehlgeschlagen:', error);
+      this.onNotify(this.i18n.t('userData.importFailed'));
+      return;
+    }
+
+    this.reset();
+    await this.onImported();
+    this.onNotify(this.i18n.t('userData.imported'));
+  }
+
+  reset() {
+    this.pendingPreview = null;
+    this.previewContainer.innerHTML = '';
+  }
+
+  renderError(error) {
+    const details = (error.details || []).slice(0, 5);
+
+    this.previewContainer.innerHTML = `
+      <div class="user-data-error" role="alert">
+        <p><strong>${this.i18n.t('userData.rejected')}</strong> ${ProjectSearch.escapeHtml(error.message)}</p>
+        ${details.length > 0 ? `
+          <ul>
+            ${details.map(item => `<li><code>${ProjectSearch.escapeHtml(item.path)}</code>: ${ProjectSearch.escapeHtml(item.message)}</li>`).join('')}
+          </ul>
+        ` : ''}
+      </div>
+    `;
+  }
+
+  getTitle(id, fallback) {
+    return this.getProject(id)?.title || fallback || this.i18n.t('userData.project', { id });
+  }
+
+  describeProgress(entry) {
+    if (entry.completedAt) return this.i18n.t('userData.done');
+    return this.i18n.t('userData.progress', {
+      step: entry.currentStep + 1,
+      count: entry.steps.length,
+      progress: entry.progress
+    });
+  }
+
+  describeNote(note) {
+    const text = note.text.length > 80 ? `${note.text.slice(0, 80)}…` : note.text;
+    return this.i18n.t('userData.noteSummary', {
+      text: ProjectSearch.escapeHtml(text),
+      date: new Date(note.updatedAt).toLocaleDateString(this.i18n.locale)
+    });
+  }
+
+  renderPreview(preview) {
+    const { bookmarks, projects, notes } = preview.added;
+    const t = (key, params) => this.i18n.t(key, params);
+    const titles = projects.map(entry => ProjectSearch.escapeHtml(this.getTitle(entry.id, entry.title))).join(', ');
+    const summary = [
+      bookmarks.length > 0 && t('userData.bookmarks', { count: bookmarks.length }),
+      projects.length > 0 && t('userData.projects', { count: projects.length, titles }),
+      notes.length > 0 && t('userData.notes', { count: notes.length }),
+      preview.unchanged > 0 && t('userData.unchanged', { count: preview.unchanged })
+    ].filter(Boolean);
+
+    this.previewContainer.innerHTML = `
+      <div class="user-data-preview-panel">
+        <h3>${t('userData.preview')}</h3>
+        ${summary.length > 0 ? `
+          <ul class="user-data-summary">
+            ${summary.map(line => `<li>${line}</li>`).join('')}
+          </ul>
+        ` : ''}
+        ${preview.conflicts.map(conflict => this.renderConflict(conflict)).join('')}
+        <div class="user-data-actions">
+          <button type="button" data-action="apply">${t('userData.apply')}</button>
+          <button type="button" data-action="cancel">${t('userData.cancel')}</button>
+        </div>
+      </div>
+    `;
+  }
+
+  renderConflict(conflict) {
+    const isNote = conflict.store === 'notes';
+    const title = ProjectSearch.escapeHtml(this.getTitle(conflict.id, conflict.local.title));
+    const describe = entry => (isNote ? this.describeNote(entry) : this.describeProgress(entry));
+    const option = (value, label, entry) => `
+      <label>
+        <input type="radio" name="${conflict.key}" value="${value}" ${conflict.preferred === value ? 'checked' : ''}>
+        <span>${label}: ${describe(entry)}</span>
+      </label>
+    `;
+
+    return `
+      <fieldset class="user-data-conflict">
+        <legend>${this.i18n.t(isNote ? 'userData.noteConflict' : 'userData.progressConflict')}: ${title}</legend>
+        ${option('local', this.i18n.t('userData.keepLocal'), conflict.local)}
+        ${option('imported', this.i18n.t('userData.useImported'), conflict.imported)}
+      </fieldset>
+    `;
+  }
+}
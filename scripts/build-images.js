@@ -0,0 +1,244 @@
+#!/usr/bin/env node
+// ==========================================================================
+// Erzeugt responsive Bildvarianten, Platzhalter und PWA-Icons
+// ==========================================================================
+//
+// Einmalig:  npm install
+// Aufruf:    npm run build:images [-- --force]
+//
+// Liest alle Fotos unter files/ (z.B. files/DSC_5600.jpeg oder
+// files/projects/makramee-1.jpg) und schreibt nach images/ je Breite eine
+// AVIF-, WebP- und JPEG-Variante (nie größer als das Original) sowie einen
+// winzigen Platzhalter für den Blur-up-Effekt. data/images.json beschreibt
+// alle Varianten; js/image-manifest.js baut daraus <picture>/srcset.
+//
+// Dazu kommen quadratische PWA-Icons in images/icons/ (normal und
+// "maskable" mit Rand in der Hintergrundfarbe aus manifest.json) und
+// apple-touch-icon.png sowie das Vorschaubild images/og-image.jpg. Ohne
+// --force werden Fotos übersprungen, deren Varianten schon neuer sind als
+// das Original.
+//
+// Zwischen <!-- build-images:start --> und <!-- build-images:end --> in
+// index.html trägt das Skript og:image und den Verweis auf data/images.json
+// ein. Ohne diesen Eintrag lädt js/image-manifest.js nichts nach.
+//
+// Danach die erzeugten Dateien und index.html mit committen (vor dem Deployment).
+
+const fs = require('fs');
+const path = require('path');
+
+let sharp;
+try {
+  sharp = require('sharp');
+} catch (error) {
+  console.error('❌ sharp fehlt – bitte zuerst "npm install" ausführen.');
+  process.exit(1);
+}
+
+const rootDir = path.resolve(__dirname, '..');
+const sourceDir = path.join(rootDir, 'files');
+const outputDir = path.join(rootDir, 'images');
+const iconDir = path.join(outputDir, 'icons');
+const manifestPath = path.join(rootDir, 'data/images.json');
+const webManifestPath = path.join(rootDir, 'manifest.json');
+const indexPath = path.join(rootDir, 'index.html');
+const ogImagePath = path.join(outputDir, 'og-image.jpg');
+const SITE_URL = 'https://bastelglueck-reni.de/';
+
+const WIDTHS = [320, 640, 960, 1280, 1920];
+const FORMATS = [
+  { type: 'image/avif', extension: 'avif', options: { quality: 50 } },
+  { type: 'image/webp', extension: 'webp', options: { quality: 75 } },
+  { type: 'image/jpeg', extension: 'jpg', options: { quality: 80, mozjpeg: true } }
+];
+const FALLBACK_WIDTH = 960;
+const PLACEHOLDER_WIDTH = 24;
+const SOURCE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp', '.tif', '.tiff'];
+
+const ICON_SOURCE = path.join(sourceDir, 'DSC_5600.jpeg');
+const ICON_SIZES = [96, 192, 512];
+const MASKABLE_SIZES = [192, 512];
+// Maskable Icons werden bis auf einen Kreis mit 80 % Durchmesser beschnitten
+const MASKABLE_SAFE_ZONE = 0.8;
+const APPLE_TOUCH_SIZE = 180;
+// Empfohlene Größe für Vorschaubilder in sozialen Netzwerken
+const OG_IMAGE_SIZE = { width: 1200, height: 630 };
+
+const force = process.argv.includes('--force');
+
+// Pfade im Manifest wie im HTML: relativ zum Projektordner, mit "/"
+const toUrlPath = file => path.relative(rootDir, file).split(path.sep).join('/');
+
+function findSources(dir) {
+  if (!fs.existsSync(dir)) return [];
+
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const file = path.join(dir, entry.name);
+    if (entry.isDirectory()) return findSources(file);
+    return SOURCE_EXTENSIONS.includes(path.extname(entry.name).toLowerCase()) ? [file] : [];
+  });
+}
+
+function readPreviousManifest() {
+  try {
+    return JSON.parse(fs.readFileSync(manifestPath, 'utf8')).images || {};
+  } catch (error) {
+    return {};
+  }
+}
+
+// files/projects/a.jpg → images/projects/a-640.avif
+function variantPath(source, width, extension) {
+  const relative = path.relative(sourceDir, source);
+  const base = relative.slice(0, -path.extname(relative).length);
+  return path.join(outputDir, `${base}-${width}.${extension}`);
+}
+
+function isUpToDate(source, outputs) {
+  const sourceTime = fs.statSync(source).mtimeMs;
+  return outputs.every(file => fs.existsSync(file) && fs.statSync(file).mtimeMs >= sourceTime);
+}
+
+async function buildImage(source, previous) {
+  // rotate() übernimmt die EXIF-Ausrichtung von Handyfotos
+  const metadata = await sharp(source).rotate().metadata();
+  const swapped = metadata.orientation >= 5;
+  const width = swapped ? metadata.height : metadata.width;
+  const height = swapped ? metadata.width : metadata.height;
+
+  const widths = [...new Set(WIDTHS.map(value => Math.min(value, width)))];
+  const outputs = widths.flatMap(value => FORMATS.map(format => variantPath(source, value, format.extension)));
+  const key = toUrlPath(source);
+
+  if (!force && previous[key] && isUpToDate(source, outputs)) {
+    return { entry: previous[key], built: false };
+  }
+
+  fs.mkdirSync(path.dirname(outputs[0]), { recursive: true });
+
+  for (const value of widths) {
+    for (const format of FORMATS) {
+      await sharp(source)
+        .rotate()
+        .resize({ width: value, withoutEnlargement: true })
+        .toFormat(format.extension === 'jpg' ? 'jpeg' : format.extension, format.options)
+        .toFile(variantPath(source, value, format.extension));
+    }
+  }
+
+  const placeholder = await sharp(source)
+    .rotate()
+    .resize({ width: PLACEHOLDER_WIDTH })
+    .webp({ quality: 40 })
+    .toBuffer();
+
+  const fallbackWidth = widths.filter(value => value <= FALLBACK_WIDTH).pop() || widths[0];
+
+  return {
+    built: true,
+    entry: {
+      width,
+      height,
+      placeholder: `data:image/webp;base64,${placeholder.toString('base64')}`,
+      fallback: toUrlPath(variantPath(source, fallbackWidth, 'jpg')),
+      sources: Object.fromEntries(FORMATS.map(format => [
+        format.type,
+        widths.map(value => `${toUrlPath(variantPath(source, value, format.extension))} ${value}w`).join(', ')
+      ]))
+    }
+  };
+}
+
+async function buildIcons() {
+  if (!fs.existsSync(ICON_SOURCE)) {
+    console.warn(`⚠️ ${toUrlPath(ICON_SOURCE)} fehlt – Icons werden nicht erzeugt.`);
+    return;
+  }
+
+  const { background_color: background } = JSON.parse(fs.readFileSync(webManifestPath, 'utf8'));
+  fs.mkdirSync(iconDir, { recursive: true });
+
+  // Quadratischer Ausschnitt um den auffälligsten Bildbereich (meist das Gesicht)
+  const square = size => sharp(ICON_SOURCE)
+    .rotate()
+    .resize({ width: size, height: size, fit: 'cover', position: sharp.strategy.attention });
+
+  for (const size of ICON_SIZES) {
+    await square(size).png().toFile(path.join(iconDir, `icon-${size}.png`));
+  }
+
+  for (const size of MASKABLE_SIZES) {
+    const inner = Math.round(size * MASKABLE_SAFE_ZONE);
+    const offset = Math.round((size - inner) / 2);
+    await sharp({ create: { width: size, height: size, channels: 3, background } })
+      .composite([{ input: await square(inner).png().toBuffer(), top: offset, left: offset }])
+      .png()
+      .toFile(path.join(iconDir, `icon-maskable-${size}.png`));
+  }
+
+  // iOS füllt Transparenz schwarz – daher ohne Alphakanal
+  await square(APPLE_TOUCH_SIZE).flatten({ background }).png().toFile(path.join(rootDir, 'apple-touch-icon.png'));
+
+  await sharp(ICON_SOURCE)
+    .rotate()
+    .resize({ ...OG_IMAGE_SIZE, fit: 'cover', position: sharp.strategy.attention })
+    .jpeg({ quality: 80, mozjpeg: true })
+    .toFile(ogImagePath);
+
+  console.log(`🖼️  Icons in ${toUrlPath(iconDir)}/, apple-touch-icon.png und ${toUrlPath(ogImagePath)} erzeugt`);
+}
+
+// Meta-Tags zwischen den build-images-Markern in index.html neu schreiben
+function updateIndexHtml(hasImages) {
+  const html = fs.readFileSync(indexPath, 'utf8');
+  const block = /(<!-- build-images:start -->\n)[\s\S]*?([ \t]*<!-- build-images:end -->)/;
+  if (!block.test(html)) {
+    console.warn('⚠️ build-images-Marker fehlen in index.html – Meta-Tags nicht aktualisiert.');
+    return;
+  }
+
+  const tags = [];
+  if (hasImages) {
+    tags.push(`<meta name="image-manifest" content="${toUrlPath(manifestPath)}">`);
+  }
+  if (fs.existsSync(ogImagePath)) {
+    const ogImage = `${SITE_URL}${toUrlPath(ogImagePath)}`;
+    tags.push(`<meta property="og:image" content="${ogImage}">`);
+    tags.push(`<meta property="twitter:image" content="${ogImage}">`);
+  }
+
+  const lines = tags.map(tag => `    ${tag}\n`).join('');
+  fs.writeFileSync(indexPath, html.replace(block, (match, start, end) => `${start}${lines}${end}`));
+}
+
+async function main() {
+  const sources = findSources(sourceDir);
+  const previous = readPreviousManifest();
+  const images = {};
+  let builtCount = 0;
+
+  for (const source of sources) {
+    try {
+      const { entry, built } = await buildImage(source, previous);
+      images[toUrlPath(source)] = entry;
+      if (built) {
+        builtCount++;
+        console.log(`✅ ${toUrlPath(source)} (${entry.width}×${entry.height})`);
+      }
+    } catch (error) {
+      console.error(`❌ ${toUrlPath(source)}: ${error.message}`);
+      process.exitCode = 1;
+    }
+  }
+
+  fs.writeFileSync(manifestPath, `${JSON.stringify({ version: 1, images }, null, 2)}\n`);
+  console.log(`\n${builtCount} von ${sources.length} Fotos neu erzeugt, ${path.relative(process.cwd(), manifestPath)} geschrieben`);
+
+  await buildIcons();
+  updateIndexHtml(Object.keys(images).length > 0);
+}
+
+main().catch(error => {
+  console.error('❌ Bilder konnten nicht erzeugt werden:', error);
+  process.exit(1);
+});
@@ -0,0 +1,239 @@
+#!/usr/bin/env node
+// ==========================================================================
+// Prüft die Tastaturbedienung des Portfolios im Headless-Browser mit axe-core
+// ==========================================================================
+//
+// Einmalig:  npm install
+// Aufruf:    npm run check:a11y
+//
+// Startet einen kleinen Webserver für das Repository, öffnet index.html in
+// Headless-Chrome (Puppeteer) und spielt die Tastaturwege durch:
+// Kategorie-Tabs (.portfolio-filter) mit Pfeiltasten, Pos1 und Ende, der
+// Roving Tabindex über die Projektkarten (auch reihenweise mit Pfeil
+// hoch/runter) und Enter auf einer Karte, das die Anleitung öffnet. Nach
+// jedem Schritt läuft axe-core über Tabs, Raster bzw. Modal.
+// Externe Adressen (Fonts, Etsy) werden blockiert. Exit-Code 1 bei Fehlern.
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+let puppeteer;
+let AxePuppeteer;
+try {
+  puppeteer = require('puppeteer');
+  ({ AxePuppeteer } = require('@axe-core/puppeteer'));
+} catch (error) {
+  console.error('❌ puppeteer oder @axe-core/puppeteer fehlt – bitte zuerst "npm install" ausführen.');
+  process.exit(1);
+}
+
+const rootDir = path.resolve(__dirname, '..');
+const contentTypes = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'application/javascript',
+  '.css': 'text/css',
+  '.json': 'application/json',
+  '.svg': 'image/svg+xml',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png'
+};
+
+const failures = [];
+
+function check(label, passed, detail = '') {
+  console.log(`${passed ? '✅' : '❌'} ${label}${passed || !detail ? '' : ` (${detail})`}`);
+  if (!passed) failures.push(label);
+}
+
+function localFile(pathname) {
+  const file = path.join(rootDir, decodeURIComponent(pathname === '/' ? '/index.html' : pathname));
+  return file.startsWith(rootDir) && fs.existsSync(file) && fs.statSync(file).isFile() ? file : null;
+}
+
+// Liefert die Dateien des Repositorys aus, wie es GitHub Pages auch tut
+function startServer() {
+  const server = http.createServer((request, response) => {
+    const file = localFile(new URL(request.url, 'http://localhost').pathname);
+    if (!file) {
+      response.writeHead(404).end();
+      return;
+    }
+    response.writeHead(200, { 'Content-Type': contentTypes[path.extname(file)] || 'application/octet-stream' });
+    fs.createReadStream(file).pipe(response);
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
+
+async function openPage(browser, origin) {
+  const page = await browser.newPage();
+  await page.setViewport({ width: 1280, height: 900 });
+  await page.emulateMediaFeatures([{ name: 'prefers-reduced-motion', value: 'reduce' }]);
+
+  // Skriptfehler zählen als fehlgeschlagene Prüfung
+  page.on('pageerror', error => check(`Skriptfehler: ${error.message}`, false));
+  await page.setRequestInterception(true);
+  page.on('request', request => {
+    if (request.url().startsWith(origin) || request.url().startsWith('data:')) request.continue();
+    else request.abort();
+  });
+
+  await page.goto(`${origin}/index.html?lang=de`, { waitUntil: 'load' });
+  // PortfolioManager.init() lädt Katalog und Texte asynchron
+  await page.waitForSelector('.portfolio-item', { timeout: 10000 });
+  return page;
+}
+
+// Projekt-IDs aus data/projects.json bzw. aus den Karten, sortiert zum Vergleichen
+function catalogIds(predicate) {
+  const { projects } = JSON.parse(fs.readFileSync(path.join(rootDir, 'data/projects.json'), 'utf8'));
+  return projects.filter(predicate).map(project => project.id).sort((a, b) => a - b);
+}
+
+function cardIds(page) {
+  return page.$$eval('.portfolio-item', cards => cards
+    .map(card => parseInt(card.getAttribute('aria-labelledby').replace('portfolio-title-', ''), 10))
+    .sort((a, b) => a - b));
+}
+
+// Index des fokussierten Elements in der Liste, sonst -1
+function focusedIndex(page, selector) {
+  return page.$$eval(selector, elements => elements.indexOf(document.activeElement));
+}
+
+async function runAxe(page, label, include) {
+  const result = await new AxePuppeteer(page).include(include).analyze();
+  check(`axe: ${label}`, result.violations.length === 0,
+    result.violations.map(violation => `${violation.id}: ${violation.nodes.length}×`).join(', '));
+
+  result.violations.forEach(violation => {
+    console.error(`   ${violation.id} – ${violation.help}`);
+    violation.nodes.slice(0, 3).forEach(node => console.error(`     ${node.target.join(' ')}`));
+  });
+}
+
+async function checkFilterTabs(page) {
+  const tabs = '.portfolio-filter [role="tab"]:not([hidden])';
+  const state = () => page.$$eval(tabs, elements => ({
+    count: elements.length,
+    selected: elements.flatMap((tab, index) => (tab.getAttribute('aria-selected') === 'true' ? [index] : [])),
+    focusable: elements.flatMap((tab, index) => (tab.tabIndex === 0 ? [index] : [])),
+    filters: elements.map(tab => tab.dataset.filter)
+  }));
+
+  const initial = await state();
+  check('Tabs: genau ein Tab gewählt', initial.selected.length === 1);
+  check('Tabs: nur der gewählte Tab per Tabulator erreichbar',
+    initial.focusable.length === 1 && initial.focusable[0] === initial.selected[0]);
+  await runAxe(page, 'Kategorie-Tabs', '.portfolio-filter');
+
+  await page.$$eval(tabs, elements => elements[0].focus());
+  await page.keyboard.press('ArrowRight');
+  const next = await state();
+  check('Tabs: Pfeil rechts wählt und fokussiert den nächsten Tab',
+    await focusedIndex(page, tabs) === 1 && next.selected[0] === 1);
+
+  const filter = next.filters[1];
+  const expected = catalogIds(project => project.category === filter);
+  const shown = await cardIds(page);
+  check(`Tabs: Raster zeigt die Projekte der Kategorie "${filter}"`,
+    shown.join() === expected.join(), `${shown.join(', ')} statt ${expected.join(', ')}`);
+
+  await page.keyboard.press('End');
+  check('Tabs: Ende springt zum letzten Tab', await focusedIndex(page, tabs) === initial.count - 1);
+  await page.keyboard.press('ArrowRight');
+  check('Tabs: Pfeil rechts am Ende springt zum ersten Tab', await focusedIndex(page, tabs) === 0);
+  await page.keyboard.press('ArrowLeft');
+  check('Tabs: Pfeil links am Anfang springt zum letzten Tab', await focusedIndex(page, tabs) === initial.count - 1);
+  await page.keyboard.press('Home');
+  check('Tabs: Pos1 springt zum ersten Tab',
+    await focusedIndex(page, tabs) === 0 && (await state()).selected[0] === 0);
+  await runAxe(page, 'Kategorie-Tabs nach Tastaturwechsel', '.portfolio-filter');
+}
+
+async function checkCardGrid(page) {
+  const cards = '.portfolio-item';
+  const state = () => page.$$eval(cards, elements => ({
+    count: elements.length,
+    columns: elements.filter(card => card.offsetTop === elements[0].offsetTop).length,
+    focusable: elements.flatMap((card, index) => (card.tabIndex === 0 ? [index] : [])),
+    controlsOff: elements.slice(1)
+      .every(card => [...card.querySelectorAll('a[href], button')].every(control => control.tabIndex === -1)),
+    controlsOn: [...elements[0].querySelectorAll('a[href], button')].every(control => control.tabIndex === 0)
+  }));
+
+  const initial = await state();
+  check('Karten: mindestens zwei Projekte im Raster', initial.count >= 2, `${initial.count}`);
+  check('Karten: genau eine Karte per Tabulator erreichbar', initial.focusable.length === 1);
+  check('Karten: Buttons inaktiver Karten aus der Tab-Reihenfolge', initial.controlsOff);
+  await runAxe(page, 'Projektkarten', '.portfolio-grid');
+
+  await page.focus(cards);
+  await page.keyboard.press('ArrowRight');
+  check('Karten: Pfeil rechts fokussiert die nächste Karte',
+    await focusedIndex(page, cards) === 1 && (await state()).focusable[0] === 1);
+  await page.keyboard.press('ArrowLeft');
+  check('Karten: Pfeil links fokussiert die vorige Karte', await focusedIndex(page, cards) === 0);
+  await page.keyboard.press('ArrowLeft');
+  check('Karten: am Rand bleibt die Karte stehen', await focusedIndex(page, cards) === 0);
+
+  if (initial.count > initial.columns) {
+    await page.keyboard.press('ArrowDown');
+    check(`Karten: Pfeil runter springt eine Reihe (${initial.columns} Spalten) weiter`,
+      await focusedIndex(page, cards) === initial.columns);
+    await page.keyboard.press('ArrowUp');
+    check('Karten: Pfeil hoch springt zurück in die erste Reihe', await focusedIndex(page, cards) === 0);
+  }
+
+  await page.keyboard.press('End');
+  check('Karten: Ende fokussiert die letzte Karte', await focusedIndex(page, cards) === initial.count - 1);
+  await page.keyboard.press('Home');
+  check('Karten: Pos1 fokussiert die erste Karte', await focusedIndex(page, cards) === 0);
+  check('Karten: Buttons der aktiven Karte erreichbar', (await state()).controlsOn);
+}
+
+async function checkOpenWithEnter(page) {
+  const projectId = await page.$eval('.portfolio-item', card => card.getAttribute('aria-labelledby').replace('portfolio-title-', ''));
+
+  await page.focus('.portfolio-item');
+  await page.keyboard.press('Enter');
+  await page.waitForSelector('[role="dialog"]', { visible: true, timeout: 5000 });
+
+  const hash = await page.evaluate(() => window.location.hash);
+  check('Enter: öffnet die Anleitung der Karte', hash === `#project-${projectId}`, hash);
+  check('Enter: Fokus liegt im Modal',
+    await page.$eval('[role="dialog"]', dialog => dialog.contains(document.activeElement)));
+  await runAxe(page, 'Projekt-Modal', '[role="dialog"]');
+}
+
+async function main() {
+  const server = await startServer();
+  const origin = `http://127.0.0.1:${server.address().port}`;
+  // Als root (z.B. im Container) startet Chrome nur ohne Sandbox
+  const browser = await puppeteer.launch({ args: process.getuid?.() === 0 ? ['--no-sandbox'] : [] });
+
+  try {
+    const page = await openPage(browser, origin);
+    await checkFilterTabs(page);
+    await checkCardGrid(page);
+    await checkOpenWithEnter(page);
+  } finally {
+    await browser.close();
+    server.close();
+  }
+
+  if (failures.length > 0) {
+    console.error(`\n❌ ${failures.length} Prüfung(en) fehlgeschlagen`);
+    process.exit(1);
+  }
+  console.log('\n✅ Tastaturbedienung und axe-Prüfungen bestanden');
+}
+
+main().catch(error => {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+});
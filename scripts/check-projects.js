@@ -0,0 +1,48 @@
+#!/usr/bin/env node
+// ==========================================================================
+// Prüft data/projects.json gegen data/project.schema.json
+// ==========================================================================
+//
+// Aufruf:  node scripts/check-projects.js [pfad/zu/projects.json]
+// Listet jedes fehlerhafte Projekt mit Feldpfaden auf und beendet sich mit
+// Exit-Code 1, sobald ein Fehler gefunden wurde (z.B. vor dem Deployment).
+
+const fs = require('fs');
+const path = require('path');
+const { ProjectValidator } = require('../js/project-validator.js');
+
+const rootDir = path.resolve(__dirname, '..');
+const catalogPath = path.resolve(process.argv[2] || path.join(rootDir, 'data/projects.json'));
+const schemaPath = path.join(rootDir, 'data/project.schema.json');
+
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    console.error(`❌ ${path.relative(process.cwd(), file)} konnte nicht gelesen werden: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+const validator = new ProjectValidator(readJson(schemaPath));
+const result = validator.validateCatalog(readJson(catalogPath));
+const invalidProjects = result.projects.filter(entry => entry.errors.length > 0);
+
+result.errors.forEach(error => {
+  console.error(`❌ ${error.path}: ${error.message}`);
+});
+
+invalidProjects.forEach(entry => {
+  const title = entry.project?.title ? ` "${entry.project.title}"` : '';
+  console.error(`\n❌ Projekt #${entry.index} (id: ${entry.id})${title}`);
+  entry.errors.forEach(error => {
+    console.error(`   ${error.path}: ${error.message}`);
+  });
+});
+
+if (result.errors.length > 0 || invalidProjects.length > 0) {
+  console.error(`\n${invalidProjects.length} von ${result.projects.length} Projekten fehlerhaft.`);
+  process.exit(1);
+}
+
+console.log(`✅ ${result.projects.length} Projekte gültig (${path.relative(process.cwd(), catalogPath)})`);
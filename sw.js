@@ -3,8 +3,10 @@
 // ==========================================================================
 
 const CACHE_NAME = 'bastelglueck-v1';
-const STATIC_CACHE = 'bastelglueck-static-v1';
+const STATIC_CACHE = 'bastelglueck-static-v2';
 const DYNAMIC_CACHE = 'bastelglueck-dynamic-v1';
+// Schritt-Videos, nur auf Wunsch gespeichert (js/step-videos.js)
+const MEDIA_CACHE = 'bastelglueck-media-v1';
 
 // Dateien die gecacht werden sollen
 const STATIC_FILES = [
@@ -12,8 +14,51 @@ const STATIC_FILES = [
   '/index.html',
   '/css/styles.css',
   '/js/main.js',
+  '/js/money.js',
+  '/js/storage.js',
+  '/js/motion-preference.js',
+  '/js/i18n.js',
+  '/js/currency.js',
+  '/js/user-data-repository.js',
+  '/js/project-validator.js',
+  '/js/project-catalog.js',
+  '/js/project-search.js',
+  '/js/project-facets.js',
+  '/js/project-sort.js',
+  '/js/project-router.js',
+  '/js/query-state.js',
+  '/js/my-projects.js',
+  '/js/bookmarks.js',
+  '/js/user-data-transfer.js',
+  '/js/pdf-document.js',
+  '/js/project-print.js',
+  '/js/shopping-list.js',
+  '/js/material-scaler.js',
+  '/js/unit-converter.js',
+  '/js/image-manifest.js',
+  '/js/project-media.js',
+  '/js/swipe-gesture.js',
+  '/js/dialog.js',
+  '/js/tabs.js',
+  '/js/roving-grid.js',
+  '/js/lightbox.js',
+  '/js/step-player.js',
+  '/js/step-videos.js',
+  '/data/projects.json',
+  '/data/project.schema.json',
+  '/data/user-data.schema.json',
+  '/data/exchange-rates.json',
+  '/data/i18n/de.json',
+  '/data/i18n/en.json',
   '/manifest.json',
-  '/files/DSC_5600.jpeg'
+  '/manifest.en.json'
+];
+
+// Erzeugt erst scripts/build-images.js; fehlen sie, bricht die Installation nicht ab
+const OPTIONAL_FILES = [
+  '/data/images.json',
+  '/images/icons/icon-192.png',
+  '/images/icons/icon-512.png'
 ];
 
 // Service Worker Installation
@@ -24,7 +69,11 @@ self.addEventListener('install', event => {
     caches.open(STATIC_CACHE)
       .then(cache => {
         console.log('Service Worker: Caching static files');
-        return cache.addAll(STATIC_FILES);
+        return cache.addAll(STATIC_FILES).then(() => Promise.all(
+          OPTIONAL_FILES.map(url => cache.add(url).catch(() => {
+            console.log('Service Worker: Optional file not available', url);
+          }))
+        ));
       })
       .then(() => {
         console.log('Service Worker: Static files cached');
@@ -46,7 +95,7 @@ self.addEventListener('activate', event => {
         return Promise.all(
           cacheNames.map(cacheName => {
             // Alte Caches löschen
-            if (cacheName !== STATIC_CACHE && cacheName !== DYNAMIC_CACHE) {
+            if (![STATIC_CACHE, DYNAMIC_CACHE, MEDIA_CACHE].includes(cacheName)) {
               console.log('Service Worker: Deleting old cache', cacheName);
               return caches.delete(cacheName);
             }
@@ -72,6 +121,18 @@ self.addEventListener('fetch', event => {
     return;
   }
 
+  // Videos und Untertitel: aus dem Offline-Speicher, auch stückweise (Range)
+  if (isMediaRequest(event.request)) {
+    event.respondWith(mediaResponse(event.request));
+    return;
+  }
+
+  // Projekt-Katalog: Network-First, damit neue Projekte sofort sichtbar sind
+  if (new URL(event.request.url).pathname.startsWith('/data/')) {
+    event.respondWith(networkFirst(event.request));
+    return;
+  }
+
   event.respondWith(
     caches.match(event.request)
       .then(response => {
@@ -128,6 +189,83 @@ self.addEventListener('fetch', event => {
   );
 });
 
+// Network-First mit Cache-Fallback (für Daten, die sich ohne Deployment ändern)
+function networkFirst(request) {
+  return fetch(request)
+    .then(response => {
+      if (response && response.status === 200) {
+        const responseToCache = response.clone();
+        caches.open(STATIC_CACHE).then(cache => cache.put(request, responseToCache));
+      }
+      return response;
+    })
+    .catch(() => caches.match(request));
+}
+
+function isMediaRequest(request) {
+  return ['video', 'audio', 'track'].includes(request.destination) ||
+    /\.(mp4|webm|vtt)$/i.test(new URL(request.url).pathname);
+}
+
+// Browser laden Videos mit "Range: bytes=…"; gespeichert ist die ganze Datei
+async function mediaResponse(request) {
+  const cache = await caches.open(MEDIA_CACHE);
+  const cached = await cache.match(request.url);
+  if (!cached) {
+    return fetch(request);
+  }
+
+  const range = /^bytes=(\d+)-(\d*)$/.exec(request.headers.get('range') || '');
+  if (!range) {
+    return cached;
+  }
+
+  const blob = await cached.blob();
+  const start = Number(range[1]);
+  const end = range[2] ? Math.min(Number(range[2]), blob.size - 1) : blob.size - 1;
+
+  if (start >= blob.size) {
+    return new Response(null, { status: 416, headers: { 'Content-Range': `bytes */${blob.size}` } });
+  }
+
+  return new Response(blob.slice(start, end + 1), {
+    status: 206,
+    headers: {
+      'Content-Type': cached.headers.get('Content-Type') || blob.type,
+      'Content-Range': `bytes ${start}-${end}/${blob.size}`,
+      'Content-Length': String(end - start + 1),
+      'Accept-Ranges': 'bytes'
+    }
+  });
+}
+
+// Dateien vollständig (ohne Range) laden und speichern
+async function cacheMedia(urls) {
+  const cache = await caches.open(MEDIA_CACHE);
+  const results = await Promise.allSettled(urls.map(async url => {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    await cache.put(url, response);
+  }));
+
+  results
+    .filter(result => result.status === 'rejected')
+    .forEach(result => console.error('Service Worker: Media caching failed', result.reason));
+
+  return {
+    saved: results.filter(result => result.status === 'fulfilled').length,
+    failed: results.filter(result => result.status === 'rejected').length
+  };
+}
+
+async function cachedMedia(urls) {
+  const cache = await caches.open(MEDIA_CACHE);
+  const matches = await Promise.all(urls.map(url => cache.match(url)));
+  return urls.filter((url, index) => matches[index]);
+}
+
 // Background Sync für bessere mobile Konnektivität
 self.addEventListener('sync', event => {
   console.log('Service Worker: Background sync triggered');
@@ -204,6 +342,18 @@ self.addEventListener('message', event => {
     event.ports[0].postMessage({ version: CACHE_NAME });
   }
   
+  if (event.data && event.data.type === 'CACHE_MEDIA') {
+    event.waitUntil(
+      cacheMedia(event.data.urls || []).then(result => event.ports[0].postMessage(result))
+    );
+  }
+
+  if (event.data && event.data.type === 'MEDIA_STATUS') {
+    event.waitUntil(
+      cachedMedia(event.data.urls || []).then(cached => event.ports[0].postMessage({ cached }))
+    );
+  }
+
   if (event.data && event.data.type === 'CACHE_UPDATE') {
     // Force cache update
     event.waitUntil(
@@ -0,0 +1,23 @@
+// Money.parse liest Beträge mit den Trennzeichen von Intl.NumberFormat('de-DE')
+// Aufruf: npm run test:unit
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Money } = require('../js/money.js');
+
+test('"1.234,56" ist 1234,56 €', () => {
+  assert.deepEqual(Money.parse('1.234,56').toJSON(), { amount: 123456, currency: 'EUR' });
+});
+
+test('"0,5" ist 0,50 €', () => {
+  assert.deepEqual(Money.parse('0,5').toJSON(), { amount: 50, currency: 'EUR' });
+});
+
+test('Währungszeichen und Zusätze werden ignoriert', () => {
+  assert.equal(Money.parse('€0,00 (vorhanden)').amount, 0);
+  assert.equal(Money.parse('1.234,56 €').amount, 123456);
+});
+
+test('Text ohne Zahl ergibt null', () => {
+  assert.equal(Money.parse('kostenlos'), null);
+});